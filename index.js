@@ -2,21 +2,31 @@
 
 /**
  * Webflow MCP Connector — v2-only (expanded for full Data API)
- * - Auth gate via x-api-token (CONNECTOR_API_TOKEN)
- * - Health, SSE (/sse)
+ * - Auth gate via x-api-token (scoped token registry from API_TOKENS_FILE, or CONNECTOR_API_TOKEN)
+ * - Health, MCP JSON-RPC tools over SSE (/sse + /messages) and Streamable HTTP (/mcp)
  * - Collections (safe mode by env; full=true for site inventory)
- * - Items CRUD (fieldData passed directly with validation), publish (publishTo)
+ * - Items CRUD (fieldData validated against the cached collection schema), publish (publishTo)
+ * - CMS localization: ?locale= on item routes, per-locale item view, translation audit
  * - Clean JSON errors
  * - No Accept-Version; base URL is /v2; Content-Type only when body exists
  * - Full Data API pass-through, form-data support, mutation guards, scope check
+ * - Mutation journal with before-snapshots and revert (/journal)
+ * - JSON-line logs tagged with x-request-id; Prometheus metrics at /metrics
  */
 
 const express = require('express');
+const morgan = require('morgan');
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const { AsyncLocalStorage } = require('async_hooks');
 
 const app = express();
 app.disable('x-powered-by');
-app.use(express.json({ limit: '1mb' }));
 
 // ---- Env ----
 const {
@@ -27,13 +37,181 @@ const {
   CONNECTOR_API_TOKEN,
   ARTICLES_COLLECTION_ID,
   RESOURCES_COLLECTION_ID,
+  COLLECTION_ALIASES,
+  COLLECTION_ALIASES_FILE,
+  COLLECTION_AUTO_DISCOVER = 'false',
   ALLOW_MUTATIONS = 'true',
   REQUIRE_DESTRUCTIVE_HEADER = 'true',
+  API_TOKENS_FILE,
+  SCHEMA_VALIDATION = 'true',
+  JOURNAL_ENABLED = 'true',
+  AUDIT_RULES,
+  AUDIT_RULES_FILE,
+  WF_SCOPE_CHECK = 'true',
+  WEBFLOW_WEBHOOK_SECRET,
+  PUBLIC_URL,
+  LOG_LEVEL = 'info',
 } = process.env;
 
 const SERVICE_NAME = 'webflow-mcp';
-const WF_API_BASE = 'https://api.webflow.com/v2';
-console.log(`[${SERVICE_NAME}] Using Webflow v2 API base: ${WF_API_BASE}`);
+
+// ---- Logging (one JSON object per line; LOG_LEVEL = debug | info | warn | error) ----
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_THRESHOLD = LOG_LEVELS[String(LOG_LEVEL).toLowerCase()] ?? LOG_LEVELS.info;
+// Carries the request id into everything a request awaits, including wf() calls and jobs it starts
+const requestContext = new AsyncLocalStorage();
+
+function formatLog(level, msg, fields = {}) {
+  if (LOG_LEVELS[level] < LOG_THRESHOLD) return null;
+  const requestId = requestContext.getStore()?.requestId;
+  return JSON.stringify({ time: new Date().toISOString(), level, service: SERVICE_NAME, msg, ...(requestId ? { requestId } : {}), ...fields });
+}
+const log = Object.fromEntries(Object.keys(LOG_LEVELS).map(level => [level, (msg, fields) => {
+  const line = formatLog(level, msg, fields);
+  if (line) (LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+}]));
+
+// Point at the bundled mock (npm run mock) or another v2-compatible server for offline use
+const WF_API_BASE = (process.env.WF_API_BASE || 'https://api.webflow.com/v2').replace(/\/+$/, '');
+log.info('Using Webflow v2 API base', { base: WF_API_BASE });
+
+// ---- Metrics (Prometheus text exposition at /metrics) ----
+const METRIC_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const metricLabels = (labels) => Object.entries(labels)
+  .map(([k, v]) => `${k}="${String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`)
+  .join(',');
+
+class Counter {
+  constructor(name, help) { this.name = name; this.help = help; this.series = new Map(); }
+  inc(labels = {}, n = 1) {
+    const key = metricLabels(labels);
+    this.series.set(key, (this.series.get(key) || 0) + n);
+  }
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+    for (const [key, value] of this.series) lines.push(`${this.name}${key ? `{${key}}` : ''} ${value}`);
+    return lines.join('\n');
+  }
+}
+
+class Histogram {
+  constructor(name, help, buckets = METRIC_BUCKETS) { this.name = name; this.help = help; this.buckets = buckets; this.series = new Map(); }
+  observe(labels, seconds) {
+    const key = metricLabels(labels);
+    let s = this.series.get(key);
+    if (!s) this.series.set(key, s = { counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+    this.buckets.forEach((le, i) => { if (seconds <= le) s.counts[i]++; });
+    s.sum += seconds;
+    s.count++;
+  }
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const [key, s] of this.series) {
+      const sep = key ? `${key},` : '';
+      this.buckets.forEach((le, i) => lines.push(`${this.name}_bucket{${sep}le="${le}"} ${s.counts[i]}`));
+      lines.push(`${this.name}_bucket{${sep}le="+Inf"} ${s.count}`);
+      lines.push(`${this.name}_sum${key ? `{${key}}` : ''} ${s.sum}`);
+      lines.push(`${this.name}_count${key ? `{${key}}` : ''} ${s.count}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+// Sampled when /metrics is scraped
+class Gauge {
+  constructor(name, help, read) { this.name = name; this.help = help; this.read = read; }
+  render() { return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} gauge`, `${this.name} ${this.read()}`].join('\n'); }
+}
+
+const metrics = {
+  httpRequests: new Counter('webflow_mcp_http_requests_total', 'Requests handled, by route template and status'),
+  httpDuration: new Histogram('webflow_mcp_http_request_duration_seconds', 'Request latency by route template'),
+  upstreamRequests: new Counter('webflow_mcp_upstream_requests_total', 'Webflow API calls (each retry counts), by path template and status'),
+  upstreamDuration: new Histogram('webflow_mcp_upstream_request_duration_seconds', 'Webflow API call latency by path template'),
+  upstreamRateLimited: new Counter('webflow_mcp_upstream_rate_limited_total', 'Webflow 429 responses by path template'),
+  mutations: new Counter('webflow_mcp_mutations_total', 'Mutating requests that passed the guard, by token'),
+};
+
+// Webflow ids (24 hex), UUIDs and numeric ids collapse to :id so label sets stay bounded. Pass-through
+// paths are caller-chosen, so other segments outside UPSTREAM_PATH_SEGMENTS become :segment and
+// anything past UPSTREAM_PATH_DEPTH segments folds into a single *
+const WF_PATH_ID = /^([0-9a-f]{24}|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|\d+)$/i;
+const UPSTREAM_PATH_DEPTH = 5;
+const upstreamPathTemplate = (p) => {
+  const segs = p.split('/').slice(1).map(seg => {
+    if (WF_PATH_ID.test(seg)) return ':id';
+    return UPSTREAM_PATH_SEGMENTS.has(seg) ? seg : ':segment';
+  });
+  return '/' + (segs.length > UPSTREAM_PATH_DEPTH ? [...segs.slice(0, UPSTREAM_PATH_DEPTH), '*'] : segs).join('/');
+};
+const routeTemplate = (req) => (req.route ? req.baseUrl + [].concat(req.route.path).join('|') : 'unmatched');
+
+// ---- Request id (echoed from x-request-id when the client sends a sane one) ----
+app.use((req, res, next) => {
+  const given = req.header('x-request-id') || '';
+  req.id = /^[\w.:-]{1,128}$/.test(given) ? given : crypto.randomUUID();
+  res.setHeader('x-request-id', req.id);
+  next();
+});
+
+// ---- Access log and route metrics ----
+app.use(morgan((tokens, req, res) => formatLog('info', 'Request', {
+  requestId: req.id,
+  method: req.method,
+  path: req.originalUrl.split('?')[0],
+  route: routeTemplate(req),
+  status: res.headersSent ? res.statusCode : null,
+  durationMs: Number(tokens['response-time'](req, res)),
+  bytes: Number(tokens.res(req, res, 'content-length')) || 0,
+  token: tokenName(req),
+})));
+app.use((req, res, next) => {
+  const started = process.hrtime.bigint();
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    const route = routeTemplate(req);
+    metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    metrics.httpDuration.observe({ method: req.method, route }, seconds);
+  });
+  next();
+});
+
+// ---- Body parsers ----
+// File uploads (and MCP messages carrying base64 files) get a larger JSON body limit
+const ASSET_UPLOAD_LIMIT = process.env.ASSET_UPLOAD_LIMIT || '50mb';
+app.use(['/assets/upload-base64', '/mcp', '/messages'], express.json({ limit: ASSET_UPLOAD_LIMIT }));
+// Raw uploads keep the bytes of any content type, JSON files included
+app.use('/assets/upload', express.raw({ type: () => true, limit: ASSET_UPLOAD_LIMIT }));
+// Imports take CSV/NDJSON text or JSON { format, data }, both up to IMPORT_LIMIT
+const IMPORT_LIMIT = process.env.IMPORT_LIMIT || '20mb';
+app.use('/collections/:idOrAlias/import', express.json({ limit: IMPORT_LIMIT }),
+  express.text({ type: ['text/csv', 'application/x-ndjson', 'application/ndjson', 'text/plain'], limit: IMPORT_LIMIT }));
+// Webhook signatures are computed over the raw body
+app.use('/webhooks/incoming', express.raw({ type: () => true, limit: '1mb' }));
+app.use(express.json({ limit: '1mb' }));
+// Entered after body parsing; parser stream callbacks would otherwise lose the context
+app.use((req, res, next) => requestContext.run({ requestId: req.id }, next));
+
+// Webflow Data API bases exposed through the generic pass-through
+const PASSTHRU_BASES = [
+  'sites', 'pages', 'components',
+  'collections', // extends your custom routes
+  'forms', 'form-submissions',
+  'custom-code', 'assets', 'asset-folders',
+  'comments', 'users', 'access-groups',
+  'products', 'orders', 'inventory', 'settings',
+  'webhooks',
+  'workspace', 'redirects', 'robots', 'well-known'
+];
+
+// Path segments of the Webflow Data API kept verbatim in upstream metric labels
+const UPSTREAM_PATH_SEGMENTS = new Set([
+  ...PASSTHRU_BASES,
+  'items', 'live', 'publish', 'bulk', 'fields', 'dom', 'content', 'properties', 'submissions',
+  'custom_code', 'registered_scripts', 'inline', 'hosted', 'blocks', 'asset_folders', 'threads', 'replies',
+  'invite', 'access_groups', 'skus', 'fulfill', 'unfulfill', 'refund', 'ecommerce', 'audit_logs',
+  'activity_logs', 'plain_text', 'robots_txt', 'well_known', 'domains', 'authorized_by', 'introspect',
+]);
 
 // ---- Utilities ----
 class HttpError extends Error {
@@ -53,20 +231,222 @@ const safeCompare = (a, b) => {
   return crypto.timingSafeEqual(ab, bb);
 };
 
-// ---- Gate: 401 if CONNECTOR_API_TOKEN is set ----
+// ---- Token registry ----
+// API_TOKENS_FILE holds { "tokens": [{ name, token | sha256, methods?, bases?, collections?, sites?, publish?, delete? }] }.
+// Omitted lists mean "any"; publish/delete default to false. CONNECTOR_API_TOKEN, when set,
+// is registered as an unrestricted token named "default".
+function loadTokenRegistry() {
+  const tokens = [];
+  if (API_TOKENS_FILE) {
+    let parsed;
+    try { parsed = JSON.parse(fs.readFileSync(API_TOKENS_FILE, 'utf8')); } catch (e) {
+      throw new Error(`Cannot read API_TOKENS_FILE ${API_TOKENS_FILE}: ${e.message}`);
+    }
+    const list = Array.isArray(parsed) ? parsed : (parsed?.tokens || []);
+    for (const [i, t] of list.entries()) {
+      if (!t?.name || (!t.token && !t.sha256)) throw new Error(`API_TOKENS_FILE entry ${i} needs name and token or sha256`);
+      const unknownBases = (t.bases || []).filter(b => !PASSTHRU_BASES.includes(b));
+      if (unknownBases.length) {
+        log.warn('Token lists bases not in PASSTHRU_BASES', { token: t.name, bases: unknownBases });
+      }
+      tokens.push({
+        name: String(t.name),
+        token: t.token ? String(t.token) : undefined,
+        sha256: t.sha256 ? String(t.sha256).toLowerCase() : undefined,
+        methods: Array.isArray(t.methods) ? t.methods.map(m => String(m).toUpperCase()) : null,
+        bases: Array.isArray(t.bases) ? t.bases : null,
+        collections: Array.isArray(t.collections) ? t.collections.map(String) : null,
+        sites: Array.isArray(t.sites) ? t.sites.map(String) : null,
+        publish: t.publish === true,
+        delete: t.delete === true,
+      });
+    }
+  }
+  if (CONNECTOR_API_TOKEN) {
+    tokens.push({
+      name: 'default', token: CONNECTOR_API_TOKEN,
+      methods: null, bases: null, collections: null, sites: null, publish: true, delete: true
+    });
+  }
+  return tokens;
+}
+const tokenRegistry = loadTokenRegistry();
+
+function findToken(presented) {
+  if (!presented) return null;
+  const digest = crypto.createHash('sha256').update(presented).digest('hex');
+  return tokenRegistry.find(t => (t.token ? safeCompare(presented, t.token) : safeCompare(digest, t.sha256))) || null;
+}
+
+// ---- Gate: 401 if any token is registered and none matches ----
+// Webflow can't send x-api-token; webhook deliveries are authenticated by their signature instead
 app.use((req, res, next) => {
-  const expected = CONNECTOR_API_TOKEN;
-  if (expected && !safeCompare(req.header('x-api-token') || '', expected)) {
+  if (!tokenRegistry.length || req.path.startsWith('/webhooks/incoming/')) return next();
+  const token = findToken(req.header('x-api-token') || '');
+  if (!token) {
     return res.status(401).json({
       status: 'error',
       message: 'Unauthorized',
-      details: { code: 'MISSING_OR_INVALID_API_TOKEN' }
+      details: { code: 'MISSING_OR_INVALID_API_TOKEN' },
+      requestId: req.id
     });
   }
+  req.token = token;
   next();
 });
 
-// ---- HTTP client (v2; supports FormData for uploads) ----
+const tokenName = (req) => req.token?.name || 'anonymous';
+
+// Collection/site scope checks; a request without a registry token is unrestricted
+function canAccessCollection(req, collectionId) {
+  const allowed = req.token?.collections;
+  if (!allowed || !collectionId) return true;
+  return allowed.some(c => c === collectionId || resolveCollectionId(c) === collectionId);
+}
+
+function canAccessSite(req, siteId) {
+  const allowed = req.token?.sites;
+  return !allowed || !siteId || allowed.includes(siteId);
+}
+
+function assertScope(req, { collectionId, siteId, base } = {}) {
+  const t = req.token;
+  if (!t) return;
+  const deny = (message, details) => {
+    throw new HttpError(403, message, { code: 'TOKEN_SCOPE_DENIED', token: t.name, ...details });
+  };
+  if (t.methods && !t.methods.includes(req.method)) deny(`Token "${t.name}" may not use ${req.method}`, { method: req.method });
+  if (base && t.bases && !t.bases.includes(base)) deny(`Token "${t.name}" may not access /${base}`, { base });
+  if (collectionId && !canAccessCollection(req, collectionId)) deny(`Token "${t.name}" may not access collection ${collectionId}`, { collectionId });
+  if (siteId && !canAccessSite(req, siteId)) deny(`Token "${t.name}" may not access site ${siteId}`, { siteId });
+}
+
+// Tokens limited to sites only reach collections those sites own; an unknown collection is left to the route's 404
+async function assertCollectionSite(req, collectionId) {
+  const t = req.token;
+  if (!t?.sites || !collectionId) return;
+  let siteId;
+  try { siteId = await collectionSiteId(collectionId, t.sites); } catch (e) {
+    if (e.status === 404) return;
+    throw e;
+  }
+  if (!siteId) {
+    throw new HttpError(403, `Token "${t.name}" may not access collection ${collectionId} outside its sites`,
+      { code: 'TOKEN_SCOPE_DENIED', token: t.name, collectionId, sites: t.sites });
+  }
+  assertScope(req, { siteId });
+}
+
+// Collection routes resolve :idOrAlias here, so every one of them is scope-checked
+app.param('idOrAlias', (req, res, next, value) => {
+  const collectionId = resolveCollectionId(value);
+  try { assertScope(req, { collectionId }); } catch (e) { return next(e); }
+  assertCollectionSite(req, collectionId).then(() => next(), next);
+});
+
+// ---- Upstream rate limiting (shared by every wf() call) ----
+const WF_MAX_CONCURRENCY = Math.max(1, Number(process.env.WF_MAX_CONCURRENCY || 4));
+const WF_RATE_PER_MINUTE = Math.max(1, Number(process.env.WF_RATE_PER_MINUTE || 60));
+const WF_MAX_RETRIES = Math.max(0, Number(process.env.WF_MAX_RETRIES || 3));
+const WF_RETRY_BASE_MS = Number(process.env.WF_RETRY_BASE_MS || 500);
+const WF_RETRY_MAX_MS = Number(process.env.WF_RETRY_MAX_MS || 30000);
+
+// Token bucket (requests/minute) plus a concurrency cap; 429s pause the whole bucket
+class RateLimiter {
+  constructor({ maxConcurrent, perMinute }) {
+    this.maxConcurrent = maxConcurrent;
+    this.perMinute = perMinute;
+    this.tokens = perMinute;
+    this.lastRefill = Date.now();
+    this.active = 0;
+    this.queue = [];
+    this.pausedUntil = 0;
+    this.lastRemaining = null;
+    this.stats = { requests: 0, retries: 0, throttled: 0 };
+    this.timer = null;
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.perMinute, this.tokens + ((now - this.lastRefill) * this.perMinute) / 60000);
+    this.lastRefill = now;
+  }
+
+  acquire() {
+    return new Promise((resolve) => { this.queue.push(resolve); this.pump(); });
+  }
+
+  release() {
+    this.active--;
+    this.pump();
+  }
+
+  pump() {
+    if (this.timer) return;
+    this.refill();
+    const now = Date.now();
+    while (this.queue.length && this.active < this.maxConcurrent && this.tokens >= 1 && now >= this.pausedUntil) {
+      this.tokens -= 1;
+      this.active++;
+      this.stats.requests++;
+      this.queue.shift()();
+    }
+    if (this.queue.length && this.active < this.maxConcurrent) {
+      const waitForToken = Math.ceil(((1 - this.tokens) * 60000) / this.perMinute);
+      const wait = Math.max(this.pausedUntil - now, waitForToken, 1);
+      this.timer = setTimeout(() => { this.timer = null; this.pump(); }, wait);
+    }
+  }
+
+  // Sync with Webflow's view of the quota (X-RateLimit-Remaining)
+  observe(headers) {
+    const remaining = Number(headers.get('x-ratelimit-remaining'));
+    if (headers.has('x-ratelimit-remaining') && Number.isFinite(remaining)) {
+      this.lastRemaining = remaining;
+      this.refill();
+      this.tokens = Math.min(this.tokens, remaining);
+    }
+  }
+
+  pause(ms) {
+    this.stats.throttled++;
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+    this.tokens = 0;
+  }
+
+  snapshot() {
+    this.refill();
+    return {
+      maxConcurrent: this.maxConcurrent,
+      perMinute: this.perMinute,
+      active: this.active,
+      queued: this.queue.length,
+      tokens: Math.floor(this.tokens),
+      pausedUntil: this.pausedUntil > Date.now() ? new Date(this.pausedUntil).toISOString() : null,
+      lastRemaining: this.lastRemaining,
+      ...this.stats,
+    };
+  }
+}
+const wfLimiter = new RateLimiter({ maxConcurrent: WF_MAX_CONCURRENCY, perMinute: WF_RATE_PER_MINUTE });
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const RETRYABLE_STATUSES = [500, 502, 503, 504];
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+const backoffMs = (attempt) => {
+  const cap = Math.min(WF_RETRY_MAX_MS, WF_RETRY_BASE_MS * 2 ** attempt);
+  return Math.round(cap / 2 + Math.random() * cap / 2);
+};
+const retryAfterMs = (headers) => {
+  const v = headers.get('retry-after');
+  if (!v) return null;
+  const secs = Number(v);
+  if (Number.isFinite(secs)) return secs * 1000;
+  const at = Date.parse(v);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+};
+
+// ---- HTTP client (v2; supports FormData for uploads; retries 429 and transient 5xx) ----
 async function wf(method, path, { query, body } = {}) {
   if (!WEBFLOW_API_KEY) throw new HttpError(500, 'WEBFLOW_API_KEY is not configured');
   const url = new URL(WF_API_BASE + path);
@@ -81,38 +461,140 @@ async function wf(method, path, { query, body } = {}) {
     'User-Agent': 'webflow-mcp/2.x',
   };
   if (body && !isForm) headers['Content-Type'] = 'application/json';
-  const res = await fetch(url, {
-    method,
-    headers,
-    body: body ? (isForm ? body : JSON.stringify(body)) : undefined
-  });
-  const text = await res.text();
+  const idempotent = IDEMPOTENT_METHODS.includes(String(method).toUpperCase());
+  const template = upstreamPathTemplate(path);
+  const observe = (status, started) => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    metrics.upstreamRequests.inc({ method, path: template, status });
+    metrics.upstreamDuration.observe({ method, path: template }, seconds);
+    log.debug('Webflow call', { method, path, status, durationMs: Math.round(seconds * 1000) });
+  };
+
+  let res, text;
+  for (let attempt = 0; ; attempt++) {
+    await wfLimiter.acquire();
+    const started = process.hrtime.bigint();
+    try {
+      res = await fetch(url, {
+        method,
+        headers,
+        body: body ? (isForm ? body : JSON.stringify(body)) : undefined
+      });
+      text = await res.text();
+      observe(res.status, started);
+    } catch (e) {
+      observe('network_error', started);
+      log.warn('Webflow call failed', { method, path, attempt, error: e.message });
+      if (idempotent && attempt < WF_MAX_RETRIES) {
+        wfLimiter.stats.retries++;
+        await sleep(backoffMs(attempt));
+        continue;
+      }
+      throw new HttpError(502, `Webflow API unreachable: ${e.message}`, { path });
+    } finally {
+      wfLimiter.release();
+    }
+    wfLimiter.observe(res.headers);
+
+    // A 429 means the request was not processed, so it is safe to retry any method
+    // A Retry-After beyond WF_RETRY_MAX_MS would stall every upstream call, so that 429 goes to the caller
+    if (res.status === 429) {
+      const wait = retryAfterMs(res.headers) ?? backoffMs(attempt);
+      metrics.upstreamRateLimited.inc({ path: template });
+      if (attempt < WF_MAX_RETRIES && wait <= WF_RETRY_MAX_MS) {
+        wfLimiter.pause(wait);
+        log.warn('Webflow rate limited', { method, path, attempt, retryInMs: wait });
+        wfLimiter.stats.retries++;
+        continue;
+      }
+      log.warn('Webflow rate limited; not retrying', { method, path, attempt, retryAfterMs: wait });
+    } else if (RETRYABLE_STATUSES.includes(res.status) && idempotent && attempt < WF_MAX_RETRIES) {
+      wfLimiter.stats.retries++;
+      await sleep(backoffMs(attempt));
+      continue;
+    }
+    break;
+  }
+
   let data = null;
   try { data = text ? JSON.parse(text) : null; } catch { data = { raw: text }; }
   if (!res.ok) {
     const msg = data?.err || data?.message || data?.msg || `Webflow API error ${res.status}`;
-    console.error(`[${SERVICE_NAME}] WF error: ${msg}`, { path, status: res.status });
+    log.error('Webflow error', { method, path, status: res.status, message: msg });
     throw new HttpError(res.status, msg, { path, data, status: res.status });
   }
+  if (!['GET', 'HEAD', 'OPTIONS'].includes(String(method).toUpperCase())) {
+    const touched = path.match(/^\/collections\/([^/]+)/);
+    if (touched) invalidateCollectionCaches(touched[1]);
+  }
   return data;
 }
 
-// ---- Helpers ----
+// ---- Collection aliases ----
+// Sources, lowest precedence first: discovered (site collection slugs), env ids
+// (ARTICLES_/RESOURCES_COLLECTION_ID), COLLECTION_ALIASES_FILE, COLLECTION_ALIASES.
+// Both alias inputs are JSON maps { alias: collectionId }; COLLECTION_ALIASES also accepts "a=id,b=id".
+const COLLECTION_ALIAS_REFRESH_MS = Number(process.env.COLLECTION_ALIAS_REFRESH_MS || 10 * 60 * 1000);
+const collectionAliases = new Map(); // alias (lowercase) -> { collectionId, source, name? }
+const aliasDiscovery = { enabled: COLLECTION_AUTO_DISCOVER === 'true', lastRefresh: null, error: null };
+
+function parseAliasMap(raw, label) {
+  const text = String(raw).trim();
+  if (text.startsWith('{')) {
+    try { return JSON.parse(text); } catch (e) { throw new Error(`${label} is not valid JSON: ${e.message}`); }
+  }
+  return Object.fromEntries(text.split(',').map(p => p.split('=').map(s => s.trim())).filter(([a, id]) => a && id));
+}
+
+function loadConfiguredAliases() {
+  const add = (alias, collectionId, source) => {
+    if (alias && collectionId) collectionAliases.set(String(alias).toLowerCase(), { collectionId: String(collectionId), source });
+  };
+  add('articles', ARTICLES_COLLECTION_ID, 'env');
+  add('resources', RESOURCES_COLLECTION_ID, 'env');
+  if (COLLECTION_ALIASES_FILE) {
+    let text;
+    try { text = fs.readFileSync(COLLECTION_ALIASES_FILE, 'utf8'); } catch (e) {
+      throw new Error(`Cannot read COLLECTION_ALIASES_FILE ${COLLECTION_ALIASES_FILE}: ${e.message}`);
+    }
+    for (const [a, id] of Object.entries(parseAliasMap(text, 'COLLECTION_ALIASES_FILE'))) add(a, id, 'file');
+  }
+  if (COLLECTION_ALIASES) {
+    for (const [a, id] of Object.entries(parseAliasMap(COLLECTION_ALIASES, 'COLLECTION_ALIASES'))) add(a, id, 'env');
+  }
+}
+loadConfiguredAliases();
+
 const resolveCollectionId = (idOrAlias) => {
   if (!idOrAlias) return idOrAlias;
-  const low = String(idOrAlias).toLowerCase();
-  if (low === 'articles') return ARTICLES_COLLECTION_ID;
-  if (low === 'resources') return RESOURCES_COLLECTION_ID;
-  return idOrAlias;
+  return collectionAliases.get(String(idOrAlias).toLowerCase())?.collectionId || idOrAlias;
+};
+
+const aliasTable = () =>
+  [...collectionAliases.entries()].map(([alias, e]) => ({ alias, ...e })).sort((a, b) => a.alias.localeCompare(b.alias));
+
+// One entry per distinct collection id, named after its aliases
+const aliasedCollections = () => {
+  const byId = new Map();
+  for (const { alias, collectionId } of aliasTable()) {
+    if (!byId.has(collectionId)) byId.set(collectionId, []);
+    byId.get(collectionId).push(alias);
+  }
+  return [...byId.entries()].map(([id, aliases]) => ({ id, aliases }));
 };
 
-async function listAllItems(collectionId, pageSize = 100) {
+
+// job (optional): async job context; progress is reported per page and cancellation checked between pages
+// cmsLocaleId (optional): list that locale's version of the items instead of the primary
+async function listAllItems(collectionId, pageSize = 100, job = null, cmsLocaleId = undefined) {
   const items = [];
   let offset = 0;
   while (true) {
-    const page = await wf('GET', `/collections/${collectionId}/items`, { query: { offset, limit: pageSize } });
+    job?.checkpoint();
+    const page = await wf('GET', `/collections/${collectionId}/items`, { query: { offset, limit: pageSize, cmsLocaleId } });
     const arr = Array.isArray(page?.items) ? page.items : (Array.isArray(page) ? page : []);
     items.push(...arr);
+    job?.bump('itemsProcessed', arr.length);
     if (arr.length < pageSize) break;
     offset += pageSize;
   }
@@ -124,17 +606,49 @@ async function listCollectionsForSite(siteId) {
   return Array.isArray(resp?.collections) ? resp.collections : (Array.isArray(resp) ? resp : []);
 }
 
+// Register every collection on WEBFLOW_SITE_ID under its slug; configured aliases win
+async function discoverCollectionAliases() {
+  try {
+    if (!WEBFLOW_SITE_ID) throw new HttpError(400, 'WEBFLOW_SITE_ID not set');
+    const collections = await listCollectionsForSite(WEBFLOW_SITE_ID);
+    for (const [alias, e] of collectionAliases) if (e.source === 'discovered') collectionAliases.delete(alias);
+    for (const c of collections) {
+      const alias = String(c.slug || '').toLowerCase();
+      if (!alias || collectionAliases.has(alias)) continue;
+      collectionAliases.set(alias, { collectionId: c.id, source: 'discovered', name: c.displayName || c.name });
+    }
+    aliasDiscovery.lastRefresh = new Date().toISOString();
+    aliasDiscovery.error = null;
+  } catch (e) {
+    aliasDiscovery.error = { status: e.status || 500, message: e.message };
+    log.warn('Collection alias discovery failed', { error: e.message });
+  }
+}
+
 // ---- Destructive guard ----
-function assertMutationAllowed(req) {
+// scope: { collectionId, siteId, base, publish, delete } — checked against the caller's token.
+// Dry runs are held to the same scopes; they only skip x-allow-destructive because nothing is written.
+function assertMutationAllowed(req, scope = {}) {
   const mutating = ['POST', 'PUT', 'PATCH', 'DELETE'].includes(req.method);
   if (!mutating) return;
   if (ALLOW_MUTATIONS !== 'true') throw new HttpError(403, 'Mutations disabled by server');
+  assertScope(req, scope);
+  const t = req.token;
+  if (t && (scope.delete ?? req.method === 'DELETE') && !t.delete) {
+    throw new HttpError(403, `Token "${t.name}" may not delete`, { code: 'TOKEN_SCOPE_DENIED', token: t.name });
+  }
+  if (t && scope.publish && !t.publish) {
+    throw new HttpError(403, `Token "${t.name}" may not publish`, { code: 'TOKEN_SCOPE_DENIED', token: t.name });
+  }
+  if (isDryRun(req)) return;
   if (REQUIRE_DESTRUCTIVE_HEADER === 'true') {
     const flag = (req.header('x-allow-destructive') || '').toLowerCase();
     if (!['true', 'yes', '1'].includes(flag)) {
       throw new HttpError(403, 'Missing x-allow-destructive header for mutating request');
     }
   }
+  metrics.mutations.inc({ token: tokenName(req), method: req.method });
+  log.info('Mutation allowed', { method: req.method, path: req.path, token: tokenName(req) });
 }
 
 // ---- Validate CMS payload ----
@@ -147,185 +661,2497 @@ function validateCMSPayload(payload) {
   }
 }
 
-// ---- Endpoints (existing) ----
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    service: SERVICE_NAME,
-    env: NODE_ENV,
-    time: new Date().toISOString(),
-    defaults: {
-      siteIdPresent: !!WEBFLOW_SITE_ID,
-      articlesCollectionPresent: !!ARTICLES_COLLECTION_ID,
-      resourcesCollectionPresent: !!RESOURCES_COLLECTION_ID,
-    }
-  });
-});
+// ---- Collection schema cache + fieldData validation ----
+const SCHEMA_CACHE_TTL_MS = Number(process.env.SCHEMA_CACHE_TTL_MS || 5 * 60 * 1000);
+const schemaCache = new Map(); // collectionId -> { at, collection }
+const searchIndexes = new Map(); // collectionId or `${collectionId}:${cmsLocaleId}` -> { at, promise }
 
-app.get('/sse', (req, res) => {
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Connection', 'keep-alive');
-  const send = (event, data) => {
-    res.write(`event: ${event}\n`);
-    res.write(`data: ${JSON.stringify(data)}\n\n`);
-  };
-  send('hello', { service: SERVICE_NAME, time: new Date().toISOString() });
-  const interval = setInterval(() => send('heartbeat', { ts: Date.now() }), 25000);
-  req.on('close', () => clearInterval(interval));
-});
+// Drop cached schema and search indexes (every locale) after anything changes a collection
+function invalidateCollectionCaches(collectionId) {
+  schemaCache.delete(collectionId);
+  for (const key of searchIndexes.keys()) if (key.split(':')[0] === collectionId) searchIndexes.delete(key);
+}
 
-// Collections (SAFE by default; full=true uses site inventory)
-app.get('/collections', asyncHandler(async (req, res) => {
-  const full = (req.query.full === 'true');
-  if (full) {
-    const siteId = req.query.siteId || WEBFLOW_SITE_ID;
-    if (!siteId) throw new HttpError(400, 'Missing siteId (and WEBFLOW_SITE_ID not set)');
-    const collections = await listCollectionsForSite(siteId);
-    return res.json({ status: 'ok', mode: 'full', siteId, count: collections.length, collections });
-  }
-  const ids = [ARTICLES_COLLECTION_ID, RESOURCES_COLLECTION_ID].filter(Boolean);
-  const results = await Promise.all(ids.map(async (id) => {
-    try {
-      const c = await wf('GET', `/collections/${id}`);
-      return { id, name: c?.name || c?.displayName || 'Unknown', slug: c?.slug, ok: true };
-    } catch (e) {
-      return { id, name: 'Unknown (env)', ok: false, error: { status: e.status || 500, message: e.message, details: e.details } };
-    }
-  }));
-  res.json({ status: 'ok', mode: 'safe', count: results.length, collections: results });
-}));
+async function getCollectionSchema(collectionId, { fresh = false } = {}) {
+  const hit = schemaCache.get(collectionId);
+  if (!fresh && hit && Date.now() - hit.at < SCHEMA_CACHE_TTL_MS) return hit.collection;
+  const collection = await wf('GET', `/collections/${collectionId}`);
+  schemaCache.set(collectionId, { at: Date.now(), collection });
+  return collection;
+}
 
-// One collection
-app.get('/collections/:idOrAlias', asyncHandler(async (req, res) => {
-  const collectionId = resolveCollectionId(req.params.idOrAlias);
-  const data = await wf('GET', `/collections/${collectionId}`);
-  res.json({ status: 'ok', collection: data });
-}));
+const collectionSites = new Map(); // collectionId -> owning siteId (collections never move)
 
-// Items list
-app.get('/collections/:idOrAlias/items', asyncHandler(async (req, res) => {
-  const collectionId = resolveCollectionId(req.params.idOrAlias);
-  const { all, limit, offset } = req.query;
-  if (all === 'true') {
-    const items = await listAllItems(collectionId);
-    return res.json({ status: 'ok', collectionId, total: items.length, items });
+// The schema's siteId when Webflow sends one, else the first of `candidates` that lists the
+// collection; null when none does
+async function collectionSiteId(collectionId, candidates = []) {
+  if (collectionSites.has(collectionId)) return collectionSites.get(collectionId);
+  let siteId = (await getCollectionSchema(collectionId))?.siteId || null;
+  for (const candidate of candidates) {
+    if (siteId) break;
+    if ((await listCollectionsForSite(candidate)).some(c => c.id === collectionId)) siteId = candidate;
   }
-  const l = Math.min(Number(limit || 100), 100);
-  const o = Number(offset || 0);
-  const data = await wf('GET', `/collections/${collectionId}/items`, { query: { limit: l, offset: o } });
-  const items = Array.isArray(data?.items) ? data.items : (Array.isArray(data) ? data : []);
-  res.json({ status: 'ok', collectionId, count: items.length, items });
-}));
-
-// Item get
-app.get('/collections/:idOrAlias/items/:itemId', asyncHandler(async (req, res) => {
-  const collectionId = resolveCollectionId(req.params.idOrAlias);
-  const item = await wf('GET', `/collections/${collectionId}/items/${req.params.itemId}`);
-  res.json({ status: 'ok', collectionId, item });
-}));
+  if (siteId) collectionSites.set(collectionId, siteId);
+  return siteId;
+}
 
-// Item create (pass payload directly with validation)
-app.post('/collections/:idOrAlias/items', asyncHandler(async (req, res) => {
-  assertMutationAllowed(req);
-  const collectionId = resolveCollectionId(req.params.idOrAlias);
-  const payload = req.body || {};
-  validateCMSPayload(payload);
-  const created = await wf('POST', `/collections/${collectionId}/items`, { body: payload });
-  res.status(201).json({ status: 'ok', collectionId, created });
-}));
+// ---- CMS locales ----
+// `locale` on item routes is a locale tag (fr, fr-CA), a site locale id or a cmsLocaleId. It is
+// resolved against the site's locales and sent to Webflow as cmsLocaleId.
+const siteLocalesCache = new Map(); // siteId -> { at, locales }
 
-// Item update (pass payload directly with validation)
-app.patch('/collections/:idOrAlias/items/:itemId', asyncHandler(async (req, res) => {
-  assertMutationAllowed(req);
-  const collectionId = resolveCollectionId(req.params.idOrAlias);
-  const itemId = req.params.itemId;
-  const payload = req.body || {};
-  validateCMSPayload(payload);
-  const updated = await wf('PATCH', `/collections/${collectionId}/items/${itemId}`, { body: payload });
-  res.json({ status: 'ok', collectionId, itemId, updated });
-}));
+// [{ id, cmsLocaleId, tag, displayName, enabled, primary }], primary first; [] when the site is not localized
+async function getSiteLocales(siteId) {
+  const hit = siteLocalesCache.get(siteId);
+  if (hit && Date.now() - hit.at < SCHEMA_CACHE_TTL_MS) return hit.locales;
+  const site = await wf('GET', `/sites/${siteId}`);
+  const { primary, secondary = [] } = site?.locales || {};
+  const locales = [
+    ...(primary ? [{ ...primary, primary: true }] : []),
+    ...secondary.map(l => ({ ...l, primary: false })),
+  ].filter(l => l.cmsLocaleId);
+  siteLocalesCache.set(siteId, { at: Date.now(), locales });
+  return locales;
+}
 
-// Item delete
-app.delete('/collections/:idOrAlias/items/:itemId', asyncHandler(async (req, res) => {
-  assertMutationAllowed(req);
-  const collectionId = resolveCollectionId(req.params.idOrAlias);
-  const deleted = await wf('DELETE', `/collections/${collectionId}/items/${req.params.itemId}`);
-  res.json({ status: 'ok', collectionId, itemId: req.params.itemId, deleted });
-}));
+const localeSummary = (l) => ({ tag: l.tag, displayName: l.displayName, id: l.id, cmsLocaleId: l.cmsLocaleId, primary: l.primary });
 
-// Publish (v2)
-app.post('/collections/:idOrAlias/items/publish', asyncHandler(async (req, res) => {
-  assertMutationAllowed(req);
-  const collectionId = resolveCollectionId(req.params.idOrAlias);
-  const { itemIds = [], siteId } = req.body || {};
-  const publishSiteId = siteId || WEBFLOW_SITE_ID;
-  if (!Array.isArray(itemIds) || itemIds.length === 0) throw new HttpError(400, 'itemIds[] required');
-  const published = await wf('POST', `/collections/${collectionId}/items/publish`, {
-    body: { itemIds, publishTo: publishSiteId ? [publishSiteId] : undefined }
-  });
-  res.json({ status: 'ok', collectionId, published });
-}));
+async function resolveLocale(siteId, value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (!siteId) throw new HttpError(400, 'locale needs a siteId (and WEBFLOW_SITE_ID not set)');
+  const locales = await getSiteLocales(siteId);
+  const wanted = String(value).toLowerCase();
+  const locale = locales.find(l => [l.tag, l.id, l.cmsLocaleId].some(v => v && String(v).toLowerCase() === wanted));
+  if (!locale) {
+    throw new HttpError(400, `Unknown locale "${value}" for site ${siteId}`, { siteId, locales: locales.map(localeSummary) });
+  }
+  return locale;
+}
 
-// Aliases
-function aliasRoutes(alias, collectionId) {
-  if (!collectionId) return;
-  const forward = (method, path) =>
-    app[method](`/collections/${alias}${path}`, (req, res, next) => {
-      req.params.idOrAlias = collectionId; app._router.handle(req, res, next);
-    });
-  forward('get', '');
-  forward('get', '/items');
-  app.post(`/collections/${alias}/items`, (req, res, next) => { req.params.idOrAlias = collectionId; app._router.handle(req, res, next); });
-  app.get(`/collections/${alias}/items/:itemId`, (req, res, next) => { req.params.idOrAlias = collectionId; app._router.handle(req, res, next); });
-  app.patch(`/collections/${alias}/items/:itemId`, (req, res, next) => { req.params.idOrAlias = collectionId; app._router.handle(req, res, next); });
-  app.delete(`/collections/${alias}/items/:itemId`, (req, res, next) => { req.params.idOrAlias = collectionId; app._router.handle(req, res, next); });
-  app.post(`/collections/${alias}/items/publish`, (req, res, next) => { req.params.idOrAlias = collectionId; app._router.handle(req, res, next); });
-}
-aliasRoutes('articles', ARTICLES_COLLECTION_ID);
-aliasRoutes('resources', RESOURCES_COLLECTION_ID);
-
-// Audit
-app.get('/audit', asyncHandler(async (req, res) => {
-  const full = (req.query.full === 'true');
+// ?locale= (with ?siteId=, default WEBFLOW_SITE_ID) on item routes; the site is scope-checked first
+async function requestLocale(req) {
   const siteId = req.query.siteId || WEBFLOW_SITE_ID;
-  const doSmoke = (req.query.doSmoke ?? 'true') === 'true';
-  const publish = (req.query.publish ?? 'false') === 'true';
+  if (req.query.locale && siteId) assertScope(req, { siteId });
+  return resolveLocale(siteId, req.query.locale);
+}
 
-  const report = {
-    status: 'ok',
-    mode: full ? 'full' : 'safe',
-    startedAt: new Date().toISOString(),
-    siteId: siteId || null,
-    totals: { collections: 0, items: 0 },
-    collections: [],
-    smokeTest: null
-  };
+// Legacy system flags some callers (and /audit patchSuggestions) still put in fieldData
+const SYSTEM_FIELD_TYPES = { _draft: 'Switch', _archived: 'Switch' };
 
-  let collections = [];
-  try {
-    if (full) {
-      if (!siteId) throw new HttpError(400, 'Missing siteId (and WEBFLOW_SITE_ID not set)');
-      collections = await listCollectionsForSite(siteId);
-    } else {
-      collections = []
-        .concat(ARTICLES_COLLECTION_ID ? [{ id: ARTICLES_COLLECTION_ID, name: 'Articles (env)' }] : [])
-        .concat(RESOURCES_COLLECTION_ID ? [{ id: RESOURCES_COLLECTION_ID, name: 'Resources (env)' }] : []);
+const isBlank = (v) => v === undefined || v === null || (typeof v === 'string' && v.trim() === '') ||
+  (Array.isArray(v) && v.length === 0);
+
+const isUrl = (v) => {
+  try { return ['http:', 'https:', 'mailto:', 'tel:'].includes(new URL(v).protocol); } catch { return false; }
+};
+
+const FIELD_CHECKS = {
+  PlainText: (v) => typeof v === 'string' || 'expected a string',
+  RichText: (v) => typeof v === 'string' || 'expected an HTML string',
+  Number: (v) => (typeof v === 'number' && Number.isFinite(v)) || 'expected a finite number',
+  Switch: (v) => typeof v === 'boolean' || 'expected true or false',
+  DateTime: (v) => (typeof v === 'string' && !Number.isNaN(Date.parse(v))) || 'expected an ISO 8601 date string',
+  Option: (v, field) => {
+    if (typeof v !== 'string') return 'expected an option id string';
+    const options = field.validations?.options;
+    if (Array.isArray(options) && options.length && !options.some(o => o.id === v)) {
+      return `expected one of the option ids: ${options.map(o => `${o.id} (${o.name})`).join(', ')}`;
     }
-  } catch (e) {
-    report.collectionsFetchError = { status: e.status || 500, message: e.message, details: e.details };
+    return true;
+  },
+  Reference: (v) => (typeof v === 'string' && v.length > 0) || 'expected an item id string',
+  MultiReference: (v) => (Array.isArray(v) && v.every(x => typeof x === 'string' && x.length > 0)) ||
+    'expected an array of item id strings',
+  Image: (v) => {
+    if (typeof v === 'string') return isUrl(v) || 'expected an image URL';
+    if (v && typeof v === 'object' && (typeof v.url === 'string' || typeof v.fileId === 'string')) return true;
+    return 'expected an image URL or { url | fileId, alt? }';
+  },
+  Link: (v) => (typeof v === 'string' && isUrl(v)) || 'expected an absolute URL (http, https, mailto or tel)',
+  Email: (v) => (typeof v === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v)) || 'expected an email address',
+  Color: (v) => (typeof v === 'string' &&
+    /^(#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})|rgba?\([^)]*\))$/i.test(v.trim())) || 'expected a hex (#RRGGBB) or rgb()/rgba() color',
+};
+FIELD_CHECKS.Date = FIELD_CHECKS.DateTime;
+
+function closestSlug(slug, slugs) {
+  const dist = (a, b) => {
+    const d = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      let prev = d[0]; d[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const tmp = d[j];
+        d[j] = Math.min(d[j] + 1, d[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+        prev = tmp;
+      }
+    }
+    return d[b.length];
+  };
+  let best = null;
+  for (const s of slugs) {
+    const n = dist(slug.toLowerCase(), s.toLowerCase());
+    if (n <= Math.max(2, Math.floor(s.length / 3)) && (!best || n < best.n)) best = { s, n };
   }
+  return best?.s;
+}
 
-  report.totals.collections = collections.length;
+/**
+ * Check payload.fieldData against the collection's live field definitions.
+ * `partial` (PATCH) skips the required-field presence check for omitted fields.
+ * Throws a 400 with details.errors = [{ field, code, message }] on failure.
+ */
+async function validateFieldData(collectionId, payload, { partial = false } = {}) {
+  if (SCHEMA_VALIDATION !== 'true') return;
+  const collection = await getCollectionSchema(collectionId);
+  const fields = Array.isArray(collection?.fields) ? collection.fields : [];
+  if (!fields.length) return;
+  const bySlug = new Map(fields.map(f => [f.slug, f]));
+  const fieldData = payload.fieldData;
+  const errors = [];
+
+  for (const [slug, value] of Object.entries(fieldData)) {
+    const field = bySlug.get(slug) || (SYSTEM_FIELD_TYPES[slug] && { slug, type: SYSTEM_FIELD_TYPES[slug] });
+    if (!field) {
+      const suggestion = closestSlug(slug, [...bySlug.keys()]);
+      errors.push({
+        field: slug,
+        code: 'UNKNOWN_FIELD',
+        message: `Unknown field slug "${slug}"${suggestion ? ` — did you mean "${suggestion}"?` : ''}`,
+        suggestion,
+      });
+      continue;
+    }
+    if (isBlank(value)) {
+      if (field.isRequired) errors.push({ field: slug, code: 'REQUIRED', message: `"${slug}" is required and cannot be empty` });
+      continue;
+    }
+    const check = FIELD_CHECKS[field.type];
+    const ok = check ? check(value, field) : true;
+    if (ok !== true) {
+      errors.push({ field: slug, code: 'INVALID_TYPE', type: field.type, message: `"${slug}" (${field.type}): ${ok}` });
+      continue;
+    }
+    const { maxLength, minLength } = field.validations || {};
+    if (typeof value === 'string' && field.type === 'PlainText') {
+      if (maxLength && value.length > maxLength) {
+        errors.push({ field: slug, code: 'TOO_LONG', message: `"${slug}" exceeds ${maxLength} characters` });
+      } else if (minLength && value.length < minLength) {
+        errors.push({ field: slug, code: 'TOO_SHORT', message: `"${slug}" needs at least ${minLength} characters` });
+      }
+    }
+  }
+
+  if (!partial) {
+    for (const f of fields) {
+      if (f.isRequired && !(f.slug in fieldData)) {
+        errors.push({ field: f.slug, code: 'REQUIRED', message: `"${f.slug}" (${f.type}) is required` });
+      }
+    }
+  }
+
+  if (errors.length) {
+    throw new HttpError(400, 'fieldData does not match the collection schema', {
+      code: 'FIELD_VALIDATION_FAILED',
+      collectionId,
+      errors,
+      fields: fields.map(f => ({ slug: f.slug, type: f.type, required: !!f.isRequired })),
+    });
+  }
+}
+
+// ---- RichText ⇄ Markdown (?contentFormat=markdown) ----
+// Webflow RichText accepts a small HTML subset; anything else is unwrapped (or dropped
+// with its content for script-like tags) before it is sent upstream.
+const RICH_TEXT_TAGS = {
+  p: [], h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+  strong: [], b: [], em: [], i: [], u: [], sup: [], sub: [], br: [], code: [], pre: [],
+  a: ['href', 'title', 'target', 'rel'],
+  ul: [], ol: [], li: [], blockquote: [],
+  figure: ['class', 'data-rt-type', 'data-rt-align', 'data-rt-max-width'], figcaption: [],
+  img: ['src', 'alt', 'title'],
+};
+const DROP_TAGS = new Set(['script', 'style', 'iframe', 'object', 'embed', 'noscript', 'template', 'head', 'title']);
+const VOID_TAGS = new Set(['br', 'img', 'hr', 'input', 'meta', 'link', 'source', 'wbr', 'col', 'area']);
+const SAFE_URL_RE = /^(https?:|mailto:|tel:|\/|#)/i;
+
+const escapeHtml = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+const decodeEntities = (s) => String(s)
+  .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+  .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(Number(d)))
+  .replace(/&nbsp;/g, ' ').replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"').replace(/&#39;|&apos;/g, "'").replace(/&amp;/g, '&');
+
+function parseHtml(html) {
+  const root = { tag: '#root', attrs: {}, children: [] };
+  const stack = [root];
+  const re = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][\w-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*(\/?)>|([^<]+|<)/g;
+  let m;
+  while ((m = re.exec(String(html)))) {
+    if (m[0].startsWith('<!--')) continue;
+    if (m[5] !== undefined) { stack[stack.length - 1].children.push({ text: decodeEntities(m[5]) }); continue; }
+    const [, closing, rawTag, rawAttrs, selfClose] = m;
+    const tag = rawTag.toLowerCase();
+    if (closing) {
+      const at = stack.map(n => n.tag).lastIndexOf(tag);
+      if (at > 0) stack.length = at;
+      continue;
+    }
+    const attrs = {};
+    for (const a of rawAttrs.matchAll(/([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g)) {
+      attrs[a[1].toLowerCase()] = decodeEntities(a[2] ?? a[3] ?? a[4] ?? '');
+    }
+    const node = { tag, attrs, children: [] };
+    stack[stack.length - 1].children.push(node);
+    if (!selfClose && !VOID_TAGS.has(tag)) stack.push(node);
+  }
+  return root;
+}
+
+function sanitizeRichText(html) {
+  const walk = (node, parent) => node.children.map((n) => {
+    if (n.text !== undefined) return escapeHtml(n.text);
+    if (DROP_TAGS.has(n.tag)) return '';
+    // Webflow wraps figure images in a bare <div>; elsewhere divs are unwrapped
+    const allowed = RICH_TEXT_TAGS[n.tag] || (n.tag === 'div' && parent === 'figure' ? [] : null);
+    if (!allowed) return walk(n, parent);
+    const attrs = allowed
+      .filter(a => n.attrs[a] !== undefined && (!['href', 'src'].includes(a) || SAFE_URL_RE.test(n.attrs[a].trim())))
+      .map(a => ` ${a}="${escapeHtml(n.attrs[a])}"`).join('');
+    if (VOID_TAGS.has(n.tag)) return `<${n.tag}${attrs}>`;
+    return `<${n.tag}${attrs}>${walk(n, n.tag)}</${n.tag}>`;
+  }).join('');
+  return walk(parseHtml(html), '#root');
+}
+
+// -- Markdown → HTML --
+const LIST_ITEM_RE = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const FENCE_RE = /^\s*(```|~~~)/;
+const RAW_BLOCK_RE = /^\s*<(p|h[1-6]|ul|ol|blockquote|figure|pre|div)\b/i;
+const IMAGE_LINE_RE = /^!\[([^\]]*)\]\(([^)\s]+)(?:\s+"([^"]*)")?\)$/;
+
+function markdownInline(text) {
+  const codes = [], escapes = [];
+  let s = String(text)
+    .replace(/`([^`]+)`/g, (_, c) => `\u0000${codes.push(c) - 1}\u0000`)
+    .replace(/\\([\\`*_{}[\]()#+\-.!<>~|])/g, (_, ch) => `\u0001${escapes.push(ch) - 1}\u0001`)
+    .replace(/<((?:https?:|mailto:)[^>\s]+)>/g, (_, url) => `<a href="${escapeHtml(url)}">${escapeHtml(url)}</a>`)
+    .replace(/&(?!#?\w+;)/g, '&amp;')
+    .replace(/<(?![a-zA-Z/!])/g, '&lt;');
+  const title = (t) => (t ? ` title="${escapeHtml(t)}"` : '');
+  s = s
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+"([^"]*)")?\)/g,
+      (_, alt, src, t) => `<img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}"${title(t)}>`)
+    .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+"([^"]*)")?\)/g,
+      (_, label, href, t) => `<a href="${escapeHtml(href)}"${title(t)}>${label}</a>`)
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+    .replace(/(^|[^\w*])\*(?=\S)([^*]*?\S)\*(?!\*)/g, '$1<em>$2</em>')
+    .replace(/(^|\W)_(?=\S)([^_]*?\S)_(?!\w)/g, '$1<em>$2</em>');
+  return s
+    .replace(/\u0001(\d+)\u0001/g, (_, i) => escapeHtml(escapes[i]))
+    .replace(/\u0000(\d+)\u0000/g, (_, i) => `<code>${escapeHtml(codes[i])}</code>`);
+}
+
+const imageFigure = (src, alt, caption) =>
+  '<figure class="w-richtext-figure-type-image w-richtext-align-center" data-rt-type="image" data-rt-align="center">' +
+  `<div><img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}"></div>` +
+  (caption ? `<figcaption>${markdownInline(caption)}</figcaption>` : '') + '</figure>';
+
+function markdownList(entries) {
+  let html = '';
+  const stack = [];
+  for (const e of entries) {
+    const tag = e.ordered ? 'ol' : 'ul';
+    while (stack.length && e.indent < stack[stack.length - 1].indent) html += `</li></${stack.pop().tag}>`;
+    const top = stack[stack.length - 1];
+    if (!top || e.indent > top.indent) {
+      html += `<${tag}>`;
+      stack.push({ indent: e.indent, tag });
+    } else if (top.tag !== tag) {
+      html += `</li></${stack.pop().tag}><${tag}>`;
+      stack.push({ indent: e.indent, tag });
+    } else {
+      html += '</li>';
+    }
+    html += `<li>${markdownInline(e.text)}`;
+  }
+  while (stack.length) html += `</li></${stack.pop().tag}>`;
+  return html;
+}
+
+function markdownToRichText(md) {
+  const lines = String(md ?? '').replace(/\r\n?/g, '\n').split('\n');
+  const out = [];
+  const isBlockStart = (l) => !l.trim() || FENCE_RE.test(l) || /^#{1,6}\s/.test(l) || /^\s*>/.test(l) ||
+    LIST_ITEM_RE.test(l) || RAW_BLOCK_RE.test(l) || IMAGE_LINE_RE.test(l.trim());
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    let m;
+    if (!line.trim()) { i++; continue; }
+    if ((m = line.match(FENCE_RE))) {
+      const code = [];
+      for (i++; i < lines.length && !lines[i].trim().startsWith(m[1]); i++) code.push(lines[i]);
+      i++;
+      out.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+    if ((m = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/))) {
+      out.push(`<h${m[1].length}>${markdownInline(m[2])}</h${m[1].length}>`);
+      i++;
+      continue;
+    }
+    // Horizontal rules have no RichText equivalent
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) { i++; continue; }
+    if (/^\s*>/.test(line)) {
+      const quote = [];
+      for (; i < lines.length && /^\s*>/.test(lines[i]); i++) quote.push(lines[i].replace(/^\s*>\s?/, ''));
+      out.push(`<blockquote>${markdownInline(quote.join(' ').trim())}</blockquote>`);
+      continue;
+    }
+    if (LIST_ITEM_RE.test(line)) {
+      const entries = [];
+      while (i < lines.length) {
+        const l = lines[i];
+        const item = l.match(LIST_ITEM_RE);
+        if (item) {
+          entries.push({ indent: item[1].replace(/\t/g, '    ').length, ordered: /\d/.test(item[2]), text: item[3] });
+          i++;
+        } else if (l.trim() && /^\s+/.test(l) && entries.length) {
+          entries[entries.length - 1].text += ` ${l.trim()}`;
+          i++;
+        } else if (!l.trim() && LIST_ITEM_RE.test(lines[i + 1] || '')) {
+          i++;
+        } else break;
+      }
+      out.push(markdownList(entries));
+      continue;
+    }
+    if ((m = line.trim().match(IMAGE_LINE_RE))) {
+      out.push(imageFigure(m[2], m[1], m[3]));
+      i++;
+      continue;
+    }
+    if (RAW_BLOCK_RE.test(line)) {
+      const raw = [];
+      for (; i < lines.length && lines[i].trim(); i++) raw.push(lines[i]);
+      out.push(raw.join('\n'));
+      continue;
+    }
+    const para = [];
+    do {
+      para.push(lines[i]);
+      i++;
+    } while (i < lines.length && !isBlockStart(lines[i]));
+    const text = para.map((l, j) => (j < para.length - 1 && / {2,}$|\\$/.test(l)
+      ? `${markdownInline(l.replace(/( {2,}|\\)$/, ''))}<br>` : `${markdownInline(l.trim())} `)).join('').trim();
+    out.push(`<p>${text}</p>`);
+  }
+  return sanitizeRichText(out.join(''));
+}
+
+// -- HTML → Markdown --
+const mdEscape = (s) => s.replace(/([\\`*_[\]<>])/g, '\\$1');
+// Paragraph lines that would otherwise read as a heading, list item, rule or fence
+const mdEscapeLineStarts = (s) => s
+  .replace(/^(\s*)(#{1,6})(?=\s|$)/gm, '$1\\$2')
+  .replace(/^(\s*)([-+])(?=\s|-)/gm, '$1\\$2')
+  .replace(/^(\s*)(\d+)([.)])(?=\s|$)/gm, '$1$2\\$3')
+  .replace(/^(\s*)~(?=~~)/gm, '$1\\~');
+
+function richTextToMarkdown(html) {
+  const inline = (node) => node.children.map((n) => {
+    if (n.text !== undefined) return mdEscape(n.text.replace(/\s+/g, ' '));
+    const inner = () => inline(n);
+    switch (n.tag) {
+      case 'strong': case 'b': { const t = inner().trim(); return t ? `**${t}**` : ''; }
+      case 'em': case 'i': { const t = inner().trim(); return t ? `*${t}*` : ''; }
+      case 'code': return `\`${textOf(n)}\``;
+      case 'br': return '  \n';
+      case 'a': return n.attrs.href ? `[${inner().trim()}](${n.attrs.href}${n.attrs.title ? ` "${n.attrs.title}"` : ''})` : inner();
+      case 'img': return `![${n.attrs.alt || ''}](${n.attrs.src || ''}${n.attrs.title ? ` "${n.attrs.title}"` : ''})`;
+      default: return DROP_TAGS.has(n.tag) ? '' : inner();
+    }
+  }).join('');
+  const textOf = (node) => node.children.map(n => (n.text !== undefined ? n.text : textOf(n))).join('');
+  const find = (node, tag) => {
+    for (const c of node.children || []) {
+      if (c.tag === tag) return c;
+      const hit = c.children && find(c, tag);
+      if (hit) return hit;
+    }
+    return null;
+  };
+  const list = (node, depth) => {
+    let n = 1;
+    return node.children.filter(c => c.tag === 'li').map((li) => {
+      const marker = node.tag === 'ol' ? `${n++}.` : '-';
+      const nested = li.children.filter(c => c.tag === 'ul' || c.tag === 'ol');
+      const own = { children: li.children.filter(c => !nested.includes(c)) };
+      const text = own.children.some(c => c.tag === 'p')
+        ? own.children.map(c => (c.tag === 'p' ? inline(c) : inline({ children: [c] }))).join(' ')
+        : inline(own);
+      return `${'  '.repeat(depth)}${marker} ${text.trim()}` +
+        nested.map(l => `\n${list(l, depth + 1)}`).join('');
+    }).join('\n');
+  };
+  const block = (node) => node.children.map((n) => {
+    if (n.text !== undefined) return n.text.trim() ? mdEscapeLineStarts(mdEscape(n.text.replace(/\s+/g, ' '))) : '';
+    if (/^h[1-6]$/.test(n.tag)) return `\n\n${'#'.repeat(Number(n.tag[1]))} ${inline(n).trim()}\n\n`;
+    switch (n.tag) {
+      case 'p': return `\n\n${mdEscapeLineStarts(inline(n).trim())}\n\n`;
+      case 'blockquote': return `\n\n${inline(n).trim().split('\n').map(l => `> ${l}`).join('\n')}\n\n`;
+      case 'ul': case 'ol': return `\n\n${list(n, 0)}\n\n`;
+      case 'pre': return `\n\n\`\`\`\n${textOf(n).replace(/\n$/, '')}\n\`\`\`\n\n`;
+      case 'figure': {
+        const img = find(n, 'img');
+        const cap = find(n, 'figcaption');
+        if (!img) return block(n);
+        const caption = cap ? textOf(cap).trim().replace(/"/g, "'") : '';
+        return `\n\n![${img.attrs.alt || ''}](${img.attrs.src || ''}${caption ? ` "${caption}"` : ''})\n\n`;
+      }
+      case 'div': case 'section': case 'article': return block(n);
+      case 'hr': return '\n\n';
+      default: return DROP_TAGS.has(n.tag) ? '' : inline({ children: [n] });
+    }
+  }).join('');
+  return block(parseHtml(html)).replace(/\n{3,}/g, '\n\n').trim();
+}
+
+const CONTENT_FORMATS = ['html', 'markdown'];
+function wantsMarkdown(req) {
+  const f = String(req.query.contentFormat || 'html').toLowerCase();
+  if (!CONTENT_FORMATS.includes(f)) throw new HttpError(400, `contentFormat must be one of: ${CONTENT_FORMATS.join(', ')}`);
+  return f === 'markdown';
+}
+
+async function richTextSlugs(collectionId) {
+  const collection = await getCollectionSchema(collectionId);
+  return (collection?.fields || []).filter(f => f.type === 'RichText').map(f => f.slug);
+}
+
+// Returns copies; cached/indexed items are never modified
+async function itemsToMarkdown(collectionId, items) {
+  const slugs = await richTextSlugs(collectionId);
+  return items.map((it) => {
+    if (!it?.fieldData || !slugs.some(s => typeof it.fieldData[s] === 'string')) return it;
+    const fieldData = { ...it.fieldData };
+    for (const s of slugs) if (typeof fieldData[s] === 'string') fieldData[s] = richTextToMarkdown(fieldData[s]);
+    return { ...it, fieldData };
+  });
+}
+
+async function payloadFromMarkdown(collectionId, payload) {
+  const slugs = await richTextSlugs(collectionId);
+  const fieldData = { ...payload.fieldData };
+  for (const s of slugs) if (typeof fieldData[s] === 'string') fieldData[s] = markdownToRichText(fieldData[s]);
+  return { ...payload, fieldData };
+}
+
+// ---- Dry-run diffs (x-dry-run: true or ?dryRun=true) ----
+const isDryRun = (req) =>
+  ['true', 'yes', '1'].includes(String(req.header('x-dry-run') || req.query.dryRun || '').toLowerCase());
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// partial: keys missing from `next` are left alone (PATCH); otherwise they count as removed
+function diffFields(current, next, { partial = true } = {}) {
+  const added = {}, removed = {}, changed = {};
+  const cur = current || {};
+  for (const [k, v] of Object.entries(next || {})) {
+    const had = !isBlank(cur[k]);
+    if (isBlank(v)) { if (had) removed[k] = cur[k]; continue; }
+    if (!had) added[k] = v;
+    else if (!sameValue(cur[k], v)) changed[k] = { from: cur[k], to: v };
+  }
+  if (!partial) {
+    for (const [k, v] of Object.entries(cur)) {
+      if (!(k in (next || {})) && !isBlank(v)) removed[k] = v;
+    }
+  }
+  return { added, removed, changed };
+}
+
+// Field-level diff between an item (or null) and a create/update payload (or null for delete)
+function diffItem(current, payload, { partial = true } = {}) {
+  const fieldData = diffFields(current?.fieldData, payload?.fieldData, { partial: payload ? partial : false });
+  const flags = {};
+  for (const k of ['isDraft', 'isArchived']) {
+    if (payload?.[k] !== undefined && payload[k] !== current?.[k]) flags[k] = { from: current?.[k] ?? null, to: payload[k] };
+  }
+  const hasChanges = [fieldData.added, fieldData.removed, fieldData.changed, flags].some(o => Object.keys(o).length > 0);
+  return { hasChanges, fieldData, flags };
+}
+
+// ---- Mutation journal (append-only NDJSON with before-snapshots) ----
+// Each mutation appends an `entry` line (with the prior state) before calling Webflow,
+// then a `result` line once the call settles. Entries are never rewritten.
+const JOURNAL_PATH = process.env.JOURNAL_PATH || path.join(__dirname, 'data', 'journal.ndjson');
+
+const journalActor = (req) => ({ requestId: req.id, token: tokenName(req) });
+
+async function appendJournal(line) {
+  if (JOURNAL_ENABLED !== 'true') return line;
+  await fs.promises.mkdir(path.dirname(JOURNAL_PATH), { recursive: true });
+  await fs.promises.appendFile(JOURNAL_PATH, JSON.stringify(line) + '\n');
+  return line;
+}
+
+async function readJournal() {
+  let text = '';
+  try { text = await fs.promises.readFile(JOURNAL_PATH, 'utf8'); } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+  const entries = new Map();
+  for (const raw of text.split('\n')) {
+    if (!raw.trim()) continue;
+    let line;
+    try { line = JSON.parse(raw); } catch { continue; }
+    if (line.type === 'entry') {
+      const { type, ...entry } = line;
+      entries.set(entry.id, { ...entry, result: null });
+    }
+    else if (line.type === 'result' && entries.has(line.entryId)) {
+      const { type, entryId, ...result } = line;
+      entries.get(entryId).result = result;
+    }
+  }
+  const list = [...entries.values()];
+  for (const e of list) {
+    if (e.revertOf && entries.has(e.revertOf) && e.result?.ok) entries.get(e.revertOf).revertedBy = e.id;
+  }
+  return list;
+}
+
+async function snapshotItem(collectionId, itemId, cmsLocaleId = undefined) {
+  try { return await wf('GET', `/collections/${collectionId}/items/${itemId}`, { query: { cmsLocaleId } }); } catch (e) {
+    if (e.status === 404) return null;
+    throw e;
+  }
+}
+
+/**
+ * Record `meta` (kind, collectionId, itemId, before, ...) in the journal, run `mutate`,
+ * then record its outcome. Resolves/rejects with mutate's result.
+ */
+async function journaled(actor, meta, mutate) {
+  const entry = await appendJournal({ type: 'entry', id: crypto.randomUUID(), ts: new Date().toISOString(), ...actor, ...meta });
+  try {
+    const after = await mutate();
+    await appendJournal({ type: 'result', entryId: entry.id, ts: new Date().toISOString(), ok: true, after: after ?? null });
+    return after;
+  } catch (e) {
+    await appendJournal({
+      type: 'result', entryId: entry.id, ts: new Date().toISOString(), ok: false,
+      error: { status: e.status || 500, message: e.message }
+    });
+    throw e;
+  }
+}
+
+// Match pass-through paths that address a single CMS item
+const ITEM_PATH_RE = /^\/collections\/([^/]+)\/items\/([^/]+)$/;
+
+// ---- Async jobs (?async=true on long operations; progress broadcast on /sse) ----
+const JOB_TTL_MS = Number(process.env.JOB_TTL_MS || 60 * 60 * 1000);
+const jobs = new Map(); // id -> job (JSON-safe)
+const jobControllers = new Map(); // id -> AbortController while running
+const jobOutputs = new Map(); // id -> { contentType, filename, body } for jobs that produce a file
+
+const wantsAsync = (req) => ['true', '1', 'yes'].includes(String(req.query.async ?? '').toLowerCase());
+
+// Jobs are visible to the token that started them
+const canSeeJob = (req, job) => job.createdBy === tokenName(req);
+
+function pruneJobs() {
+  const cutoff = Date.now() - JOB_TTL_MS;
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+      jobs.delete(id);
+      jobOutputs.delete(id);
+    }
+  }
+}
+
+const jobEvent = (job) => ({
+  id: job.id, kind: job.kind, status: job.status, progress: job.progress,
+  error: job.error, finishedAt: job.finishedAt
+});
+
+/**
+ * Start `run(ctx)` in the background and return the job record right away.
+ * ctx.bump/progress update counters and broadcast a `job` event; ctx.error records a
+ * non-fatal error; ctx.partial sets the partial result; ctx.checkpoint throws once cancelled.
+ */
+function startJob(req, kind, params, run) {
+  pruneJobs();
+  const controller = new AbortController();
+  const job = {
+    id: crypto.randomUUID(),
+    kind,
+    params,
+    status: 'running',
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    createdBy: tokenName(req),
+    requestId: req.id,
+    progress: { collectionsScanned: 0, collectionsTotal: null, itemsProcessed: 0, errors: 0 },
+    errors: [],
+    partial: null,
+    result: null,
+    error: null,
+  };
+  jobs.set(job.id, job);
+  jobControllers.set(job.id, controller);
+
+  const emit = () => broadcast('job', jobEvent(job), (viewer) => canSeeJob(viewer, job));
+  const ctx = {
+    signal: controller.signal,
+    progress(patch) { Object.assign(job.progress, patch); emit(); },
+    bump(key, n = 1) { job.progress[key] = (job.progress[key] || 0) + n; emit(); },
+    error(err) { job.errors.push(err); job.progress.errors++; emit(); },
+    partial(value) { job.partial = value; },
+    output(file) { jobOutputs.set(job.id, file); },
+    checkpoint() {
+      if (controller.signal.aborted) throw new HttpError(499, 'Job cancelled');
+    },
+  };
+
+  emit();
+  Promise.resolve()
+    .then(() => run(ctx))
+    .then((result) => {
+      ctx.checkpoint();
+      job.status = 'succeeded';
+      job.result = result ?? null;
+      job.partial = null;
+    })
+    .catch((e) => {
+      if (controller.signal.aborted) {
+        job.status = 'cancelled';
+      } else {
+        job.status = 'failed';
+        job.error = { status: e.status || 500, message: e.message, details: e.details };
+        log.error('Job failed', { jobId: job.id, kind: job.kind, error: e.message });
+      }
+    })
+    .finally(() => {
+      job.finishedAt = new Date().toISOString();
+      jobControllers.delete(job.id);
+      emit();
+    });
+  return job;
+}
+
+const jobAccepted = (res, job) =>
+  res.status(202).json({ status: 'ok', jobId: job.id, job, links: { self: `/jobs/${job.id}` } });
+
+app.get('/jobs', (req, res) => {
+  pruneJobs();
+  const { status, kind } = req.query;
+  const list = [...jobs.values()]
+    .filter(j => canSeeJob(req, j) && (!status || j.status === status) && (!kind || j.kind === kind))
+    .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt))
+    .map(({ partial, result, ...rest }) => rest);
+  res.json({ status: 'ok', count: list.length, jobs: list });
+});
+
+const findJob = (req) => {
+  const job = jobs.get(req.params.id);
+  if (!job || !canSeeJob(req, job)) throw new HttpError(404, 'Job not found');
+  return job;
+};
+
+app.get('/jobs/:id', (req, res) => {
+  const job = findJob(req);
+  const output = jobOutputs.get(job.id);
+  res.json({ status: 'ok', job, download: output ? `/jobs/${job.id}/result` : undefined });
+});
+
+// File-producing jobs (exports) are downloaded here once they succeed
+app.get('/jobs/:id/result', (req, res) => {
+  const job = findJob(req);
+  if (job.status !== 'succeeded') throw new HttpError(409, `Job is ${job.status}`);
+  const output = jobOutputs.get(job.id);
+  if (!output) return res.json(job.result);
+  res.setHeader('Content-Type', output.contentType);
+  if (output.filename) res.setHeader('Content-Disposition', `attachment; filename="${output.filename}"`);
+  res.send(output.body);
+});
+
+// Cancel a running job; work stops at the next checkpoint (between pages/collections/batches)
+app.delete('/jobs/:id', (req, res) => {
+  const job = findJob(req);
+  const controller = jobControllers.get(job.id);
+  if (!controller) throw new HttpError(409, `Job is ${job.status}; only running jobs can be cancelled`);
+  job.status = 'cancelling';
+  controller.abort();
+  res.json({ status: 'ok', job: jobEvent(job) });
+});
+
+// ---- Endpoints (existing) ----
+app.get('/health', (req, res) => {
+  res.json({
+    status: 'healthy',
+    service: SERVICE_NAME,
+    env: NODE_ENV,
+    time: new Date().toISOString(),
+    defaults: {
+      siteIdPresent: !!WEBFLOW_SITE_ID,
+      articlesCollectionPresent: !!ARTICLES_COLLECTION_ID,
+      resourcesCollectionPresent: !!RESOURCES_COLLECTION_ID,
+    },
+    collectionAliases: { discovery: aliasDiscovery, aliases: aliasTable() },
+    webflowLimiter: wfLimiter.snapshot()
+  });
+});
+
+// Prometheus scrape target; gated like every other route, so send x-api-token from the scrape config
+const metricGauges = [
+  new Gauge('webflow_mcp_upstream_queued', 'Webflow calls waiting on the rate limiter', () => wfLimiter.queue.length),
+  new Gauge('webflow_mcp_upstream_in_flight', 'Webflow calls in flight', () => wfLimiter.active),
+];
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4');
+  res.send([...Object.values(metrics), ...metricGauges].map(m => m.render()).join('\n') + '\n');
+});
+
+// Collections (SAFE by default; full=true uses site inventory)
+app.get('/collections', asyncHandler(async (req, res) => {
+  const full = (req.query.full === 'true');
+  if (full) {
+    const siteId = req.query.siteId || WEBFLOW_SITE_ID;
+    if (!siteId) throw new HttpError(400, 'Missing siteId (and WEBFLOW_SITE_ID not set)');
+    assertScope(req, { siteId });
+    const collections = (await listCollectionsForSite(siteId)).filter(c => canAccessCollection(req, c.id));
+    return res.json({ status: 'ok', mode: 'full', siteId, count: collections.length, collections });
+  }
+  const entries = aliasedCollections().filter(c => canAccessCollection(req, c.id));
+  const results = await Promise.all(entries.map(async ({ id, aliases }) => {
+    try {
+      const c = await getCollectionSchema(id);
+      return { id, aliases, name: c?.name || c?.displayName || 'Unknown', slug: c?.slug, ok: true };
+    } catch (e) {
+      return { id, aliases, name: 'Unknown (alias)', ok: false, error: { status: e.status || 500, message: e.message, details: e.details } };
+    }
+  }));
+  const aliases = aliasTable().filter(a => canAccessCollection(req, a.collectionId));
+  res.json({ status: 'ok', mode: 'safe', count: results.length, collections: results, aliases });
+}));
+
+// One collection
+app.get('/collections/:idOrAlias', asyncHandler(async (req, res) => {
+  const collectionId = resolveCollectionId(req.params.idOrAlias);
+  const data = await wf('GET', `/collections/${collectionId}`);
+  res.json({ status: 'ok', collection: data });
+}));
+
+// Items list
+app.get('/collections/:idOrAlias/items', asyncHandler(async (req, res) => {
+  const collectionId = resolveCollectionId(req.params.idOrAlias);
+  const { all, limit, offset, filter, sort, q } = req.query;
+  const markdown = wantsMarkdown(req);
+  const locale = await requestLocale(req);
+  const cmsLocaleId = locale?.cmsLocaleId;
+  const localeInfo = locale ? { locale: localeSummary(locale) } : {};
+  const format = async (items) => (markdown ? itemsToMarkdown(collectionId, items) : items);
+  if (filter || sort || q) {
+    const result = await queryItems(collectionId, { filter, sort, q, limit, offset, cmsLocaleId });
+    return res.json({ ...result, ...localeInfo, items: await format(result.items) });
+  }
+  if (all === 'true') {
+    const items = await listAllItems(collectionId, 100, null, cmsLocaleId);
+    return res.json({ status: 'ok', collectionId, ...localeInfo, total: items.length, items: await format(items) });
+  }
+  const l = Math.min(Number(limit || 100), 100);
+  const o = Number(offset || 0);
+  const data = await wf('GET', `/collections/${collectionId}/items`, { query: { limit: l, offset: o, cmsLocaleId } });
+  const items = Array.isArray(data?.items) ? data.items : (Array.isArray(data) ? data : []);
+  res.json({ status: 'ok', collectionId, ...localeInfo, count: items.length, items: await format(items) });
+}));
+
+// Item get
+app.get('/collections/:idOrAlias/items/:itemId', asyncHandler(async (req, res) => {
+  const collectionId = resolveCollectionId(req.params.idOrAlias);
+  const locale = await requestLocale(req);
+  let item = await wf('GET', `/collections/${collectionId}/items/${req.params.itemId}`, { query: { cmsLocaleId: locale?.cmsLocaleId } });
+  if (wantsMarkdown(req)) [item] = await itemsToMarkdown(collectionId, [item]);
+  res.json({ status: 'ok', collectionId, ...(locale ? { locale: localeSummary(locale) } : {}), item });
+}));
+
+// One item in every site locale; `fieldData` maps each field to its value per locale tag
+app.get('/collections/:idOrAlias/items/:itemId/locales', asyncHandler(async (req, res) => {
+  const collectionId = resolveCollectionId(req.params.idOrAlias);
+  const { itemId } = req.params;
+  const siteId = req.query.siteId || WEBFLOW_SITE_ID;
+  if (!siteId) throw new HttpError(400, 'Missing siteId (and WEBFLOW_SITE_ID not set)');
+  assertScope(req, { siteId });
+  const locales = await getSiteLocales(siteId);
+  if (!locales.length) throw new HttpError(400, `Site ${siteId} has no CMS locales`, { siteId });
+  const markdown = wantsMarkdown(req);
+  const variants = await Promise.all(locales.map(async (l) => {
+    let item = await snapshotItem(collectionId, itemId, l.cmsLocaleId);
+    if (item && markdown) [item] = await itemsToMarkdown(collectionId, [item]);
+    return { locale: l, item };
+  }));
+  if (!variants[0].item) throw new HttpError(404, 'Item not found', { collectionId, itemId });
+  const key = (l) => l.tag || l.cmsLocaleId;
+  const fieldData = {};
+  for (const { locale, item } of variants) {
+    for (const [slug, value] of Object.entries(item?.fieldData || {})) {
+      fieldData[slug] ||= Object.fromEntries(locales.map(l => [key(l), null]));
+      fieldData[slug][key(locale)] = value;
+    }
+  }
+  res.json({
+    status: 'ok',
+    collectionId,
+    itemId,
+    siteId,
+    locales: variants.map(({ locale, item }) => ({
+      ...localeSummary(locale),
+      found: !!item,
+      isDraft: item?.isDraft ?? null,
+      isArchived: item?.isArchived ?? null,
+      lastUpdated: item?.lastUpdated ?? null,
+      lastPublished: item?.lastPublished ?? null,
+    })),
+    fieldData,
+  });
+}));
+
+// Item create (pass payload directly with validation)
+app.post('/collections/:idOrAlias/items', asyncHandler(async (req, res) => {
+  assertMutationAllowed(req);
+  const collectionId = resolveCollectionId(req.params.idOrAlias);
+  const markdown = wantsMarkdown(req);
+  let payload = req.body || {};
+  validateCMSPayload(payload);
+  if (markdown) payload = await payloadFromMarkdown(collectionId, payload);
+  await validateFieldData(collectionId, payload);
+  const cmsLocaleId = (await requestLocale(req))?.cmsLocaleId;
+  if (isDryRun(req)) {
+    return res.json({ status: 'ok', dryRun: true, action: 'create', collectionId, diff: diffItem(null, payload) });
+  }
+  let created = await journaled(journalActor(req), { kind: 'item.create', collectionId, before: null }, () =>
+    wf('POST', `/collections/${collectionId}/items`, { body: cmsLocaleId ? { ...payload, cmsLocaleId } : payload }));
+  if (markdown) [created] = await itemsToMarkdown(collectionId, [created]);
+  res.status(201).json({ status: 'ok', collectionId, created });
+}));
+
+// Item update (pass payload directly with validation)
+app.patch('/collections/:idOrAlias/items/:itemId', asyncHandler(async (req, res) => {
+  assertMutationAllowed(req);
+  const collectionId = resolveCollectionId(req.params.idOrAlias);
+  const itemId = req.params.itemId;
+  const markdown = wantsMarkdown(req);
+  let payload = req.body || {};
+  validateCMSPayload(payload);
+  if (markdown) payload = await payloadFromMarkdown(collectionId, payload);
+  await validateFieldData(collectionId, payload, { partial: true });
+  const cmsLocaleId = (await requestLocale(req))?.cmsLocaleId;
+  const before = await snapshotItem(collectionId, itemId, cmsLocaleId);
+  if (isDryRun(req)) {
+    if (!before) throw new HttpError(404, 'Item not found', { collectionId, itemId });
+    return res.json({ status: 'ok', dryRun: true, action: 'update', collectionId, itemId, diff: diffItem(before, payload), current: before });
+  }
+  let updated = await journaled(journalActor(req), { kind: 'item.update', collectionId, itemId, cmsLocaleId, before }, () =>
+    wf('PATCH', `/collections/${collectionId}/items/${itemId}`, { body: cmsLocaleId ? { ...payload, cmsLocaleId } : payload }));
+  if (markdown) [updated] = await itemsToMarkdown(collectionId, [updated]);
+  res.json({ status: 'ok', collectionId, itemId, updated });
+}));
+
+// Item delete
+app.delete('/collections/:idOrAlias/items/:itemId', asyncHandler(async (req, res) => {
+  assertMutationAllowed(req);
+  const collectionId = resolveCollectionId(req.params.idOrAlias);
+  const itemId = req.params.itemId;
+  const before = await snapshotItem(collectionId, itemId);
+  if (isDryRun(req)) {
+    if (!before) throw new HttpError(404, 'Item not found', { collectionId, itemId });
+    return res.json({ status: 'ok', dryRun: true, action: 'delete', collectionId, itemId, diff: diffItem(before, null), current: before });
+  }
+  const deleted = await journaled(journalActor(req), { kind: 'item.delete', collectionId, itemId, before }, () =>
+    wf('DELETE', `/collections/${collectionId}/items/${itemId}`));
+  res.json({ status: 'ok', collectionId, itemId, deleted });
+}));
+
+// Publish (v2)
+app.post('/collections/:idOrAlias/items/publish', asyncHandler(async (req, res) => {
+  const collectionId = resolveCollectionId(req.params.idOrAlias);
+  const { itemIds = [], siteId, publishAt, unpublishAt, archiveAt } = req.body || {};
+  const publishSiteId = siteId || WEBFLOW_SITE_ID;
+  assertMutationAllowed(req, { publish: true, siteId: publishSiteId });
+  if (!Array.isArray(itemIds) || itemIds.length === 0) throw new HttpError(400, 'itemIds[] required');
+  // Without a locale every locale is published; with one, only that locale's version
+  const cmsLocaleId = (await resolveLocale(publishSiteId, req.body?.locale ?? req.query.locale))?.cmsLocaleId;
+
+  // Any of publishAt/unpublishAt/archiveAt queues the work for the schedule runner instead
+  const times = { publish: publishAt, unpublish: unpublishAt, archive: archiveAt };
+  const timed = Object.entries(times).filter(([, t]) => t !== undefined && t !== null && t !== '');
+  if (timed.length) {
+    for (const [action, t] of timed) {
+      if (Number.isNaN(Date.parse(t))) throw new HttpError(400, `${action}At must be an ISO 8601 date`);
+    }
+    for (const later of ['unpublish', 'archive']) {
+      if (times[later] && publishAt && Date.parse(times[later]) <= Date.parse(publishAt)) {
+        throw new HttpError(400, `${later}At must be after publishAt`);
+      }
+    }
+    const plan = timed.map(([action, runAt]) => ({ collectionId, itemIds, siteId: publishSiteId, cmsLocaleId, action, runAt }));
+    if (isDryRun(req)) {
+      return res.json({ status: 'ok', dryRun: true, action: 'schedule', collectionId, wouldSchedule: plan });
+    }
+    const scheduled = [];
+    for (const p of plan) scheduled.push(await addSchedule(req, p));
+    return res.status(202).json({ status: 'ok', collectionId, scheduled });
+  }
+  if (isDryRun(req)) {
+    const items = await Promise.all(itemIds.map(async (itemId) => {
+      const it = await snapshotItem(collectionId, itemId, cmsLocaleId);
+      if (!it) return { itemId, found: false, wouldPublish: false };
+      const pendingChanges = !it.lastPublished || (it.lastUpdated && it.lastUpdated > it.lastPublished);
+      return {
+        itemId,
+        found: true,
+        wouldPublish: !it.isArchived,
+        pendingChanges: !!pendingChanges,
+        flags: { isDraft: it.isDraft ?? false, isArchived: it.isArchived ?? false },
+        lastPublished: it.lastPublished ?? null,
+        lastUpdated: it.lastUpdated ?? null,
+      };
+    }));
+    return res.json({ status: 'ok', dryRun: true, action: 'publish', collectionId, publishTo: publishSiteId ? [publishSiteId] : [], cmsLocaleId: cmsLocaleId || null, items });
+  }
+  if (wantsAsync(req)) {
+    const job = startJob(req, 'publish', { collectionId, itemIds, siteId: publishSiteId, cmsLocaleId }, async (ctx) => {
+      ctx.progress({ collectionsTotal: 1, itemsTotal: itemIds.length });
+      const batches = [];
+      for (let i = 0; i < itemIds.length; i += BULK_BATCH_SIZE) {
+        ctx.checkpoint();
+        const batch = itemIds.slice(i, i + BULK_BATCH_SIZE);
+        try {
+          batches.push({ itemIds: batch, ok: true, data: await publishItems(collectionId, batch, publishSiteId, cmsLocaleId) });
+        } catch (e) {
+          const error = { status: e.status || 500, message: e.message };
+          batches.push({ itemIds: batch, ok: false, error });
+          ctx.error({ collectionId, itemIds: batch, ...error });
+        }
+        ctx.partial({ collectionId, batches });
+        ctx.bump('itemsProcessed', batch.length);
+      }
+      ctx.progress({ collectionsScanned: 1 });
+      return { collectionId, batches };
+    });
+    return jobAccepted(res, job);
+  }
+  const published = await publishItems(collectionId, itemIds, publishSiteId, cmsLocaleId);
+  res.json({ status: 'ok', collectionId, published });
+}));
+
+// ---- Bulk export / import (CSV + NDJSON) ----
+const ITEM_META_COLUMNS = ['id', 'isDraft', 'isArchived', 'createdOn', 'lastUpdated', 'lastPublished'];
+const BULK_BATCH_SIZE = 100;
+
+const csvCell = (v) => {
+  if (v === undefined || v === null) return '';
+  const s = typeof v === 'object' ? JSON.stringify(v) : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [], cell = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { row.push(cell); cell = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row); row = []; cell = '';
+    } else cell += ch;
+  }
+  if (cell !== '' || row.length) { row.push(cell); rows.push(row); }
+  const [header = [], ...body] = rows.filter(r => r.some(c => c !== ''));
+  return body.map(r => Object.fromEntries(header.map((h, i) => [h.trim(), r[i] ?? ''])));
+}
+
+const parseFormat = (format) => {
+  const f = String(format || 'ndjson').toLowerCase();
+  if (!['csv', 'ndjson'].includes(f)) throw new HttpError(400, 'format must be csv or ndjson');
+  return f;
+};
+
+async function exportItems(collectionId, format, job = null) {
+  const [collection, items] = await Promise.all([getCollectionSchema(collectionId), listAllItems(collectionId, 100, job)]);
+  if (format === 'ndjson') {
+    return items.map(it => JSON.stringify({
+      id: it.id, isDraft: it.isDraft, isArchived: it.isArchived, fieldData: it.fieldData || {}
+    })).join('\n') + (items.length ? '\n' : '');
+  }
+  // Schema order first, then any extra keys found on items
+  const cols = (collection?.fields || []).map(f => f.slug);
+  for (const it of items) {
+    for (const k of Object.keys(it.fieldData || {})) if (!cols.includes(k)) cols.push(k);
+  }
+  const header = [...ITEM_META_COLUMNS, ...cols];
+  const lines = [header.map(csvCell).join(',')];
+  for (const it of items) {
+    lines.push([
+      ...ITEM_META_COLUMNS.map(k => csvCell(it[k])),
+      ...cols.map(k => csvCell(it.fieldData?.[k]))
+    ].join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+// CSV cells are strings; coerce them using the field type
+function coerceCsvValue(raw, type) {
+  const v = String(raw);
+  const json = () => { try { return JSON.parse(v); } catch { return v; } };
+  switch (type) {
+    case 'Number': return Number.isFinite(Number(v)) ? Number(v) : v;
+    case 'Switch': return ['true', '1', 'yes'].includes(v.toLowerCase()) ? true
+      : (['false', '0', 'no'].includes(v.toLowerCase()) ? false : v);
+    case 'MultiReference':
+    case 'MultiImage':
+      return v.trim().startsWith('[') ? json() : v.split(/[;|]/).map(s => s.trim()).filter(Boolean);
+    case 'Image':
+    case 'File':
+      return v.trim().startsWith('{') ? json() : v;
+    default: return v;
+  }
+}
+
+// A JSON row must be an object; anything else becomes a per-row error
+const importRow = (o, where) => {
+  if (!o || typeof o !== 'object' || Array.isArray(o)) return { parseError: `${where}: expected an object` };
+  const fieldData = o.fieldData ?? {};
+  if (typeof fieldData !== 'object' || Array.isArray(fieldData)) return { parseError: `${where}: fieldData must be an object` };
+  return { id: o.id, isDraft: o.isDraft, isArchived: o.isArchived, fieldData };
+};
+
+function rowsFromImport(text, format, fields) {
+  const types = new Map(fields.map(f => [f.slug, f.type]));
+  if (format === 'ndjson') {
+    return String(text).split(/\r?\n/).filter(l => l.trim()).map((line, i) => {
+      try {
+        return importRow(JSON.parse(line), `Line ${i + 1}`);
+      } catch (e) {
+        return { parseError: `Line ${i + 1}: ${e.message}` };
+      }
+    });
+  }
+  const bool = (v) => (v === '' || v === undefined ? undefined : ['true', '1', 'yes'].includes(String(v).toLowerCase()));
+  return parseCsv(String(text)).map((r) => {
+    const fieldData = {};
+    for (const [k, v] of Object.entries(r)) {
+      if (ITEM_META_COLUMNS.includes(k) || v === '') continue;
+      fieldData[k] = coerceCsvValue(v, types.get(k));
+    }
+    return { id: r.id || undefined, isDraft: bool(r.isDraft), isArchived: bool(r.isArchived), fieldData };
+  });
+}
+
+/**
+ * Upsert rows into a collection. Rows match existing items by id (when given) or slug
+ * (matchBy: 'auto' | 'id' | 'slug'). Creates and updates go through Webflow's bulk
+ * endpoints in batches of 100. With dryRun nothing is written; the report shows the plan.
+ */
+async function importItems(collectionId, rows, { matchBy = 'auto', dryRun = false } = {}) {
+  const existing = await listAllItems(collectionId);
+  const byId = new Map(existing.map(it => [it.id, it]));
+  const bySlug = new Map(existing.map(it => [it.fieldData?.slug, it]).filter(([s]) => s));
+
+  const results = [];
+  const creates = [], updates = [];
+  for (const [i, row] of rows.entries()) {
+    const result = { row: i + 1, slug: row.fieldData?.slug };
+    results.push(result);
+    if (row.parseError) { Object.assign(result, { action: 'error', errors: [{ message: row.parseError }] }); continue; }
+
+    const match = (matchBy !== 'slug' && row.id && byId.get(row.id)) ||
+      (matchBy !== 'id' && row.fieldData?.slug && bySlug.get(row.fieldData.slug)) || null;
+    if (matchBy === 'id' && row.id && !match) {
+      Object.assign(result, { action: 'error', errors: [{ field: 'id', message: `No item with id ${row.id}` }] });
+      continue;
+    }
+
+    const payload = { fieldData: row.fieldData };
+    if (row.isDraft !== undefined) payload.isDraft = row.isDraft;
+    if (row.isArchived !== undefined) payload.isArchived = row.isArchived;
+    try {
+      await validateFieldData(collectionId, payload, { partial: !!match });
+    } catch (e) {
+      Object.assign(result, { action: 'error', errors: e.details?.errors || [{ message: e.message }] });
+      continue;
+    }
+
+    if (!match) {
+      result.action = 'create';
+      creates.push({ result, payload });
+      continue;
+    }
+    result.itemId = match.id;
+    const changes = Object.keys(row.fieldData).filter(k => !sameValue(row.fieldData[k], match.fieldData?.[k]));
+    if (payload.isDraft !== undefined && payload.isDraft !== match.isDraft) changes.push('isDraft');
+    if (payload.isArchived !== undefined && payload.isArchived !== match.isArchived) changes.push('isArchived');
+    result.changes = changes;
+    if (!changes.length) { result.action = 'unchanged'; continue; }
+    result.action = 'update';
+    updates.push({ result, payload: { id: match.id, ...payload } });
+  }
+
+  if (!dryRun) {
+    for (let i = 0; i < creates.length; i += BULK_BATCH_SIZE) {
+      const batch = creates.slice(i, i + BULK_BATCH_SIZE);
+      try {
+        const resp = await wf('POST', `/collections/${collectionId}/items`, { body: { items: batch.map(b => b.payload) } });
+        const created = Array.isArray(resp?.items) ? resp.items : [];
+        const createdBySlug = new Map(created.map(it => [it.fieldData?.slug, it]));
+        batch.forEach((b, j) => {
+          const it = createdBySlug.get(b.payload.fieldData.slug) || created[j];
+          Object.assign(b.result, { status: 'ok', itemId: it?.id });
+        });
+      } catch (e) {
+        batch.forEach(b => Object.assign(b.result, { status: 'error', errors: [{ status: e.status, message: e.message }] }));
+      }
+    }
+    for (let i = 0; i < updates.length; i += BULK_BATCH_SIZE) {
+      const batch = updates.slice(i, i + BULK_BATCH_SIZE);
+      try {
+        await wf('PATCH', `/collections/${collectionId}/items`, { body: { items: batch.map(b => b.payload) } });
+        batch.forEach(b => { b.result.status = 'ok'; });
+      } catch (e) {
+        batch.forEach(b => Object.assign(b.result, { status: 'error', errors: [{ status: e.status, message: e.message }] }));
+      }
+    }
+  }
+
+  const totals = { rows: rows.length, create: 0, update: 0, unchanged: 0, error: 0, failed: 0 };
+  for (const r of results) {
+    totals[r.action]++;
+    if (r.status === 'error') totals.failed++;
+  }
+  return { status: 'ok', collectionId, dryRun, matchBy, totals, results };
+}
+
+app.get('/collections/:idOrAlias/export', asyncHandler(async (req, res) => {
+  const collectionId = resolveCollectionId(req.params.idOrAlias);
+  const format = parseFormat(req.query.format);
+  const contentType = format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8';
+  const filename = `${req.params.idOrAlias}.${format}`;
+  if (wantsAsync(req)) {
+    const job = startJob(req, 'export', { collectionId, format }, async (ctx) => {
+      ctx.progress({ collectionsTotal: 1 });
+      const body = await exportItems(collectionId, format, ctx);
+      ctx.progress({ collectionsScanned: 1 });
+      ctx.output({ contentType, filename, body });
+      return { collectionId, format, bytes: Buffer.byteLength(body) };
+    });
+    return jobAccepted(res, job);
+  }
+  const body = await exportItems(collectionId, format);
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(body);
+}));
+
+// Body: raw CSV/NDJSON text, or JSON { format, data } where data is the text (or an array of rows);
+// the body parsers are mounted ahead of the global JSON one
+app.post('/collections/:idOrAlias/import', asyncHandler(async (req, res) => {
+  const dryRun = isDryRun(req);
+  assertMutationAllowed(req);
+  const collectionId = resolveCollectionId(req.params.idOrAlias);
+  const matchBy = String(req.query.matchBy || 'auto');
+  if (!['auto', 'id', 'slug'].includes(matchBy)) throw new HttpError(400, 'matchBy must be auto, id or slug');
+
+  const isText = typeof req.body === 'string';
+  const contentType = req.header('content-type') || '';
+  const format = parseFormat(req.query.format || req.body?.format || (contentType.includes('csv') ? 'csv' : 'ndjson'));
+  const collection = await getCollectionSchema(collectionId);
+  let rows;
+  if (!isText && Array.isArray(req.body?.data)) {
+    rows = req.body.data.map((o, i) => importRow(o, `Row ${i + 1}`));
+  } else {
+    const text = isText ? req.body : req.body?.data;
+    if (typeof text !== 'string' || !text.trim()) throw new HttpError(400, 'Import body is empty');
+    rows = rowsFromImport(text, format, collection?.fields || []);
+  }
+  if (!rows.length) throw new HttpError(400, 'No rows to import');
+
+  const report = await importItems(collectionId, rows, { matchBy, dryRun });
+  res.json(report);
+}));
+
+// ---- Cross-site collection sync (e.g. staging → production) ----
+// Collections match by slug and items by fieldData.slug. Reference/MultiReference ids are remapped to the
+// matching target items, Option ids by option name, and images to the target asset with the same file name.
+const SYNC_REF_TYPES = ['Reference', 'MultiReference'];
+const SYNC_ASSET_TYPES = ['Image', 'MultiImage', 'File'];
+
+async function listSiteAssets(siteId) {
+  const assets = [];
+  let offset = 0;
+  while (true) {
+    const page = await wf('GET', `/sites/${siteId}/assets`, { query: { offset, limit: 100 } });
+    const arr = Array.isArray(page?.assets) ? page.assets : (Array.isArray(page) ? page : []);
+    assets.push(...arr);
+    if (arr.length < 100) break;
+    offset += 100;
+  }
+  return assets;
+}
+
+// Hosted asset URLs end in /<assetId>_<originalFileName>
+const fileNameFromUrl = (url) => {
+  if (typeof url !== 'string' || !url) return null;
+  const last = url.split(/[?#]/)[0].split('/').pop() || '';
+  try { return decodeURIComponent(last).replace(/^[0-9a-f]{24}_/i, '') || null; } catch { return last || null; }
+};
+const assetFileName = (a) => a.originalFileName || fileNameFromUrl(a.hostedUrl || a.url);
+
+// Lazily loaded, memoized lookups shared by every collection in one sync run
+function createSyncContext({ sourceSiteId, targetSiteId, sourceCollections, targetCollections, actor }) {
+  const targetBySlug = new Map(targetCollections.map(c => [c.slug, c]));
+  const collectionMap = new Map();
+  for (const c of sourceCollections) {
+    const t = targetBySlug.get(c.slug);
+    if (t) collectionMap.set(c.id, t.id);
+  }
+  const pairs = new Map();
+  let assets = null;
+  return {
+    sourceSiteId,
+    targetSiteId,
+    collectionMap,
+    // Each bulk write to the target is one journal entry (kind items.create or items.update); `before`
+    // holds the target items as they were when the run started, null for items it created
+    journaled(plan, meta, mutate) {
+      return journaled(actor, {
+        ...meta, collectionId: plan.targetCollectionId, source: 'sync', sourceSiteId, sourceCollectionId: plan.sourceCollectionId,
+      }, mutate);
+    },
+    // Source and target items of one collection, plus source id → target id by slug
+    itemPair(sourceCid) {
+      if (!pairs.has(sourceCid)) {
+        pairs.set(sourceCid, Promise.all([
+          listAllItems(sourceCid),
+          listAllItems(collectionMap.get(sourceCid)),
+        ]).then(([source, target]) => {
+          const targetBySlug = new Map(target.map(it => [it.fieldData?.slug, it]).filter(([s]) => s));
+          const idMap = new Map();
+          for (const it of source) {
+            const match = targetBySlug.get(it.fieldData?.slug);
+            if (match) idMap.set(it.id, match.id);
+          }
+          return { source, sourceById: new Map(source.map(it => [it.id, it])), targetBySlug, idMap };
+        }));
+      }
+      return pairs.get(sourceCid);
+    },
+    assets() {
+      assets ||= Promise.all([listSiteAssets(sourceSiteId), listSiteAssets(targetSiteId)]).then(([source, target]) => ({
+        sourceNames: new Map(source.map(a => [a.id, assetFileName(a)])),
+        targetByName: new Map(target.map(a => [assetFileName(a), a]).filter(([n]) => n)),
+      }));
+      return assets;
+    },
+  };
+}
+
+// Point an image/file value at the target asset with the same file name; otherwise hand Webflow
+// the source URL so it imports the file into the target site
+function remapAsset(value, assets, notes) {
+  if (!value) return value;
+  const v = typeof value === 'string' ? { url: value } : value;
+  const name = (v.fileId && assets.sourceNames.get(v.fileId)) || fileNameFromUrl(v.url);
+  const target = name && assets.targetByName.get(name);
+  const out = target ? { fileId: target.id, url: target.hostedUrl || target.url } : { url: v.url };
+  if (!target) notes.push({ kind: 'assetImported', file: name, url: v.url });
+  if (v.alt !== undefined) out.alt = v.alt;
+  return out;
+}
+
+const sameAsset = (a, b) => {
+  if (!a || !b) return !a && !b;
+  if (a.fileId && b.fileId) return a.fileId === b.fileId && (a.alt ?? null) === (b.alt ?? null);
+  return fileNameFromUrl(a.url) === fileNameFromUrl(b.url) && (a.alt ?? null) === (b.alt ?? null);
+};
+
+function syncValueEqual(type, next, current) {
+  if (type === 'Image' || type === 'File') return sameAsset(next, current);
+  if (type === 'MultiImage') {
+    const a = next || [], b = current || [];
+    return a.length === b.length && a.every((x, i) => sameAsset(x, b[i]));
+  }
+  return sameValue(next, current);
+}
+
+/**
+ * Remap one source field value for the target. Unresolvable references are dropped with a note;
+ * references to items that this run creates are returned in `pending` and patched afterwards.
+ */
+function remapSyncValue(sourceField, targetField, value, { refPairs, assets, syncing, notes, pending }) {
+  const key = targetField.slug;
+  switch (targetField.type) {
+    case 'Reference':
+    case 'MultiReference': {
+      const refCid = sourceField.validations?.collectionId;
+      const pair = refPairs.get(refCid);
+      const ids = targetField.type === 'Reference' ? (value ? [value] : []) : (Array.isArray(value) ? value : []);
+      const mapped = [];
+      const waiting = [];
+      for (const id of ids) {
+        const targetId = pair?.idMap.get(id);
+        if (targetId) mapped.push(targetId);
+        else if (pair?.sourceById.has(id) && syncing.has(refCid)) waiting.push(id);
+        else notes.push({ kind: 'unresolvedReference', field: key, sourceItemId: id });
+      }
+      if (waiting.length) pending.push({ field: key, sourceIds: ids, refCollectionId: refCid });
+      if (targetField.type === 'Reference') return mapped[0] ?? null;
+      return mapped;
+    }
+    case 'Option': {
+      if (!value) return value;
+      const name = (sourceField.validations?.options || []).find(o => o.id === value)?.name;
+      const option = (targetField.validations?.options || []).find(o => o.name === name);
+      if (!option) notes.push({ kind: 'unmatchedOption', field: key, option: name ?? value });
+      return option ? option.id : undefined;
+    }
+    case 'Image':
+    case 'File':
+      return remapAsset(value, assets, notes);
+    case 'MultiImage':
+      return Array.isArray(value) ? value.map(v => remapAsset(v, assets, notes)) : value;
+    default:
+      return value;
+  }
+}
+
+async function planCollectionSync(ctx, sourceCid, syncing) {
+  const targetCid = ctx.collectionMap.get(sourceCid);
+  const [sourceSchema, targetSchema, pair] = await Promise.all([
+    getCollectionSchema(sourceCid), getCollectionSchema(targetCid), ctx.itemPair(sourceCid),
+  ]);
+  const sourceFields = new Map((sourceSchema?.fields || []).map(f => [f.slug, f]));
+  const targetFields = new Map((targetSchema?.fields || []).map(f => [f.slug, f]));
+  const plan = {
+    sourceCollectionId: sourceCid,
+    targetCollectionId: targetCid,
+    slug: sourceSchema?.slug,
+    counts: { create: 0, update: 0, skip: 0, error: 0 },
+    warnings: [],
+    items: [],
+  };
+
+  const refPairs = new Map();
+  for (const f of sourceFields.values()) {
+    const refCid = f.validations?.collectionId;
+    if (!SYNC_REF_TYPES.includes(f.type) || !refCid || refPairs.has(refCid)) continue;
+    if (!ctx.collectionMap.has(refCid)) {
+      plan.warnings.push({ kind: 'unmatchedReferenceCollection', field: f.slug, collectionId: refCid });
+      continue;
+    }
+    refPairs.set(refCid, await ctx.itemPair(refCid));
+  }
+  const assets = [...sourceFields.values()].some(f => SYNC_ASSET_TYPES.includes(f.type))
+    ? await ctx.assets() : null;
+  const unknownFields = new Set();
+
+  for (const it of pair.source) {
+    const slug = it.fieldData?.slug;
+    const entry = { slug, sourceItemId: it.id };
+    plan.items.push(entry);
+    if (!slug) {
+      Object.assign(entry, { action: 'error', errors: [{ message: 'Source item has no slug' }] });
+      plan.counts.error++;
+      continue;
+    }
+    const target = pair.targetBySlug.get(slug);
+    const notes = [], pending = [];
+    const fieldData = {};
+    for (const [key, value] of Object.entries(it.fieldData || {})) {
+      const tf = targetFields.get(key) || (['name', 'slug'].includes(key) ? { slug: key, type: 'PlainText' } : null);
+      if (!tf) { unknownFields.add(key); continue; }
+      const next = remapSyncValue(sourceFields.get(key) || tf, tf, value, {
+        refPairs, assets, syncing, notes, pending
+      });
+      if (next !== undefined) fieldData[key] = next;
+    }
+    const payload = { fieldData, isDraft: it.isDraft ?? false, isArchived: it.isArchived ?? false };
+
+    if (target) {
+      entry.targetItemId = target.id;
+      const changes = Object.keys(fieldData).filter(k =>
+        !syncValueEqual(targetFields.get(k)?.type, fieldData[k], target.fieldData?.[k]));
+      if (payload.isDraft !== (target.isDraft ?? false)) changes.push('isDraft');
+      if (payload.isArchived !== (target.isArchived ?? false)) changes.push('isArchived');
+      entry.changes = changes;
+      entry.action = changes.length || pending.length ? 'update' : 'skip';
+    } else {
+      entry.action = 'create';
+    }
+    plan.counts[entry.action]++;
+    if (notes.length) entry.notes = notes;
+    if (pending.length) entry.pendingReferences = pending.map(p => p.field);
+    // Kept off the JSON plan; used when applying
+    Object.defineProperty(entry, 'payload', { value: payload });
+    Object.defineProperty(entry, 'pending', { value: pending });
+  }
+  if (unknownFields.size) plan.warnings.push({ kind: 'fieldsMissingOnTarget', fields: [...unknownFields] });
+  return plan;
+}
+
+async function applyCollectionSync(ctx, plan, job) {
+  const pair = await ctx.itemPair(plan.sourceCollectionId);
+  const fail = (batch, e) => batch.forEach(b => {
+    Object.assign(b, { status: 'error', errors: [{ status: e.status || 500, message: e.message }] });
+    job?.error({ collectionId: plan.targetCollectionId, slug: b.slug, status: e.status || 500, message: e.message });
+  });
+  const creates = plan.items.filter(e => e.action === 'create');
+  for (let i = 0; i < creates.length; i += BULK_BATCH_SIZE) {
+    job?.checkpoint();
+    const batch = creates.slice(i, i + BULK_BATCH_SIZE);
+    try {
+      const resp = await ctx.journaled(plan, { kind: 'items.create', before: null }, () =>
+        wf('POST', `/collections/${plan.targetCollectionId}/items`, { body: { items: batch.map(e => e.payload) } }));
+      const created = Array.isArray(resp?.items) ? resp.items : [];
+      const bySlug = new Map(created.map(it => [it.fieldData?.slug, it]));
+      batch.forEach((e, j) => {
+        const it = bySlug.get(e.slug) || created[j];
+        Object.assign(e, { status: 'ok', targetItemId: it?.id });
+        if (it?.id) pair.idMap.set(e.sourceItemId, it.id);
+      });
+    } catch (e) {
+      fail(batch, e);
+    }
+    job?.bump('itemsProcessed', batch.length);
+  }
+  const updates = plan.items.filter(e => e.action === 'update');
+  for (let i = 0; i < updates.length; i += BULK_BATCH_SIZE) {
+    job?.checkpoint();
+    const batch = updates.slice(i, i + BULK_BATCH_SIZE);
+    try {
+      const meta = {
+        kind: 'items.update', itemIds: batch.map(e => e.targetItemId), before: batch.map(e => pair.targetBySlug.get(e.slug) ?? null),
+      };
+      await ctx.journaled(plan, meta, () =>
+        wf('PATCH', `/collections/${plan.targetCollectionId}/items`, {
+          body: { items: batch.map(e => ({ id: e.targetItemId, ...e.payload })) }
+        }));
+      batch.forEach(e => { e.status = 'ok'; });
+    } catch (e) {
+      fail(batch, e);
+    }
+    job?.bump('itemsProcessed', batch.length);
+  }
+}
+
+// Second pass: fill in references to items that were created during this run
+async function patchPendingReferences(ctx, plan, job) {
+  const { targetBySlug } = await ctx.itemPair(plan.sourceCollectionId);
+  const todo = plan.items.filter(e => e.status === 'ok' && e.targetItemId && e.pending.length);
+  const patches = [];
+  for (const e of todo) {
+    const fieldData = {};
+    for (const p of e.pending) {
+      const { idMap } = await ctx.itemPair(p.refCollectionId);
+      const ids = p.sourceIds.map(id => idMap.get(id)).filter(Boolean);
+      fieldData[p.field] = Array.isArray(e.payload.fieldData[p.field]) ? ids : (ids[0] ?? null);
+    }
+    patches.push({ entry: e, item: { id: e.targetItemId, fieldData } });
+  }
+  for (let i = 0; i < patches.length; i += BULK_BATCH_SIZE) {
+    job?.checkpoint();
+    const batch = patches.slice(i, i + BULK_BATCH_SIZE);
+    try {
+      const meta = {
+        kind: 'items.update', itemIds: batch.map(b => b.item.id), before: batch.map(b => targetBySlug.get(b.entry.slug) ?? null),
+      };
+      await ctx.journaled(plan, meta, () =>
+        wf('PATCH', `/collections/${plan.targetCollectionId}/items`, { body: { items: batch.map(b => b.item) } }));
+      batch.forEach(b => { b.entry.referencesPatched = true; });
+    } catch (e) {
+      batch.forEach(b => {
+        b.entry.referencesPatched = false;
+        b.entry.errors = [...(b.entry.errors || []), { status: e.status || 500, message: e.message }];
+      });
+    }
+  }
+}
+
+/**
+ * Resolve `collections` (aliases, ids or slugs; default: every collection both sites share) to
+ * source collection ids and scope-check them and their targets. POST /sync runs this before it
+ * starts a job, so a token outside its scope gets 403 rather than a failed job.
+ */
+async function selectSyncCollections(req, { sourceSiteId, targetSiteId, collections }) {
+  const [sourceCollections, targetCollections] = await Promise.all([
+    listCollectionsForSite(sourceSiteId), listCollectionsForSite(targetSiteId),
+  ]);
+  const ctx = createSyncContext({ sourceSiteId, targetSiteId, sourceCollections, targetCollections, actor: journalActor(req) });
+  let selected;
+  let unmatched = [];
+  if (Array.isArray(collections) && collections.length) {
+    selected = [];
+    for (const name of collections) {
+      const id = resolveCollectionId(name);
+      const target = targetCollections.find(c => c.id === id);
+      const source = sourceCollections.find(c => c.id === id || c.slug === (target?.slug ?? name));
+      if (!source || !ctx.collectionMap.has(source.id)) unmatched.push({ collection: name, reason: source ? 'missingOnTarget' : 'missingOnSource' });
+      else selected.push(source.id);
+    }
+  } else {
+    selected = [...ctx.collectionMap.keys()];
+    unmatched = sourceCollections.filter(c => !ctx.collectionMap.has(c.id))
+      .map(c => ({ collection: c.slug, reason: 'missingOnTarget' }));
+  }
+  selected = [...new Set(selected)];
+  for (const cid of selected) {
+    assertScope(req, { collectionId: cid });
+    assertScope(req, { collectionId: ctx.collectionMap.get(cid) });
+  }
+  return { ctx, selected, unmatched };
+}
+
+// Plan (and unless dryRun, apply) a sync; `selection` comes from selectSyncCollections
+async function syncSites(req, params, job = null, selection = null) {
+  const { sourceSiteId, targetSiteId, publish, dryRun } = params;
+  const { ctx, selected, unmatched } = selection || await selectSyncCollections(req, params);
+  const report = {
+    status: 'ok', dryRun, sourceSiteId, targetSiteId,
+    totals: { collections: 0, create: 0, update: 0, skip: 0, error: 0, failed: 0 },
+    unmatched,
+    collections: [],
+  };
+  job?.partial(report);
+
+  const syncing = new Set(selected);
+  job?.progress({ collectionsTotal: selected.length });
+
+  for (const cid of selected) {
+    job?.checkpoint();
+    const plan = await planCollectionSync(ctx, cid, syncing);
+    report.collections.push(plan);
+    if (!dryRun) await applyCollectionSync(ctx, plan, job);
+    job?.bump('collectionsScanned');
+  }
+
+  if (!dryRun) {
+    for (const plan of report.collections) await patchPendingReferences(ctx, plan, job);
+    if (publish) {
+      for (const plan of report.collections) {
+        const ids = plan.items.filter(e => e.status === 'ok' && e.targetItemId && !e.payload.isDraft && !e.payload.isArchived)
+          .map(e => e.targetItemId);
+        for (let i = 0; i < ids.length; i += BULK_BATCH_SIZE) {
+          const batch = ids.slice(i, i + BULK_BATCH_SIZE);
+          try {
+            await publishItems(plan.targetCollectionId, batch, targetSiteId);
+            plan.published = (plan.published || 0) + batch.length;
+          } catch (e) {
+            plan.publishErrors = [...(plan.publishErrors || []), { itemIds: batch, status: e.status || 500, message: e.message }];
+          }
+        }
+      }
+    }
+  }
+
+  report.totals.collections = report.collections.length;
+  for (const plan of report.collections) {
+    for (const k of ['create', 'update', 'skip', 'error']) report.totals[k] += plan.counts[k];
+    report.totals.failed += plan.items.filter(e => e.status === 'error').length;
+  }
+  report.finishedAt = new Date().toISOString();
+  return report;
+}
+
+// Body: { sourceSiteId, targetSiteId, collections?: [alias|id|slug], publish? }
+app.post('/sync', asyncHandler(async (req, res) => {
+  const { sourceSiteId, targetSiteId, collections, publish = false } = req.body || {};
+  if (!sourceSiteId || !targetSiteId) throw new HttpError(400, 'sourceSiteId and targetSiteId required');
+  if (sourceSiteId === targetSiteId) throw new HttpError(400, 'sourceSiteId and targetSiteId must differ');
+  if (collections !== undefined && !Array.isArray(collections)) throw new HttpError(400, 'collections must be an array');
+  assertScope(req, { siteId: sourceSiteId });
+  assertMutationAllowed(req, { siteId: targetSiteId, publish: !!publish });
+
+  const params = { sourceSiteId, targetSiteId, collections, publish: !!publish, dryRun: isDryRun(req) };
+  const selection = await selectSyncCollections(req, params);
+  if (wantsAsync(req)) return jobAccepted(res, startJob(req, 'sync', params, (job) => syncSites(req, params, job, selection)));
+  res.json(await syncSites(req, params, null, selection));
+}));
+
+// ---- Scheduled publishing queue (persisted JSON, run in-process) ----
+const SCHEDULES_PATH = process.env.SCHEDULES_PATH || path.join(__dirname, 'data', 'schedules.json');
+const SCHEDULE_POLL_MS = Number(process.env.SCHEDULE_POLL_MS || 15000);
+const SCHEDULE_MAX_ATTEMPTS = Math.max(1, Number(process.env.SCHEDULE_MAX_ATTEMPTS || 3));
+const SCHEDULE_ACTIONS = ['publish', 'unpublish', 'archive'];
+
+let schedules = null; // loaded lazily from SCHEDULES_PATH
+let schedulesWrite = Promise.resolve();
+
+async function loadSchedules() {
+  if (schedules) return schedules;
+  try {
+    schedules = JSON.parse(await fs.promises.readFile(SCHEDULES_PATH, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+    schedules = [];
+  }
+  // A job that was mid-run when the process stopped gets picked up again
+  for (const s of schedules) if (s.status === 'running') s.status = 'pending';
+  return schedules;
+}
+
+// Writes are serialized and go through a temp file so a crash never leaves half a file
+function saveSchedules() {
+  schedulesWrite = schedulesWrite.then(async () => {
+    await fs.promises.mkdir(path.dirname(SCHEDULES_PATH), { recursive: true });
+    const tmp = `${SCHEDULES_PATH}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(schedules, null, 2));
+    await fs.promises.rename(tmp, SCHEDULES_PATH);
+  }).catch((e) => log.error('Failed to persist schedules', { error: e.message }));
+  return schedulesWrite;
+}
+
+// cmsLocaleId (optional) limits the publish to that locale
+async function publishItems(collectionId, itemIds, siteId, cmsLocaleId = undefined) {
+  const targets = cmsLocaleId ? { items: itemIds.map(id => ({ id, cmsLocaleIds: [cmsLocaleId] })) } : { itemIds };
+  return wf('POST', `/collections/${collectionId}/items/publish`, {
+    body: { ...targets, publishTo: siteId ? [siteId] : undefined }
+  });
+}
+
+const SCHEDULE_RUNNERS = {
+  publish: (s) => publishItems(s.collectionId, s.itemIds, s.siteId, s.cmsLocaleId || undefined),
+  unpublish: (s) => wf('DELETE', `/collections/${s.collectionId}/items/live`, {
+    body: { items: s.itemIds.map(id => ({ id, ...(s.cmsLocaleId ? { cmsLocaleIds: [s.cmsLocaleId] } : {}) })) }
+  }),
+  archive: (s) => wf('PATCH', `/collections/${s.collectionId}/items`, {
+    body: { items: s.itemIds.map(id => ({ id, isArchived: true, ...(s.cmsLocaleId ? { cmsLocaleId: s.cmsLocaleId } : {}) })) }
+  }),
+};
+
+// Entries, list results and `schedule` events are visible to tokens that may access the collection
+const canSeeSchedule = (req, s) => canAccessCollection(req, s.collectionId);
+
+async function addSchedule(req, { collectionId, itemIds, siteId, cmsLocaleId, action, runAt }) {
+  await loadSchedules();
+  const entry = {
+    id: crypto.randomUUID(),
+    action,
+    collectionId,
+    itemIds,
+    siteId: siteId || null,
+    cmsLocaleId: cmsLocaleId || null,
+    runAt: new Date(runAt).toISOString(),
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: null,
+    createdAt: new Date().toISOString(),
+    createdBy: tokenName(req),
+    requestId: req.id,
+    outcomes: [],
+  };
+  schedules.push(entry);
+  await saveSchedules();
+  return entry;
+}
+
+let scheduleTickRunning = false;
+async function runDueSchedules() {
+  if (scheduleTickRunning) return;
+  scheduleTickRunning = true;
+  try {
+    await loadSchedules();
+    const now = Date.now();
+    const due = schedules.filter(s => s.status === 'pending' &&
+      Date.parse(s.nextAttemptAt || s.runAt) <= now);
+    for (const s of due) {
+      s.status = 'running';
+      s.attempts++;
+      await saveSchedules();
+      broadcast('schedule', { id: s.id, action: s.action, collectionId: s.collectionId, itemIds: s.itemIds, status: 'running', attempt: s.attempts },
+        (viewer) => canSeeSchedule(viewer, s));
+      const at = new Date().toISOString();
+      try {
+        const data = await SCHEDULE_RUNNERS[s.action](s);
+        s.outcomes.push({ at, ok: true, data: data ?? null });
+        s.status = 'done';
+        s.nextAttemptAt = null;
+      } catch (e) {
+        s.outcomes.push({ at, ok: false, error: { status: e.status || 500, message: e.message } });
+        if (s.attempts < SCHEDULE_MAX_ATTEMPTS) {
+          s.status = 'pending';
+          s.nextAttemptAt = new Date(Date.now() + 60000 * 2 ** (s.attempts - 1)).toISOString();
+        } else {
+          s.status = 'failed';
+        }
+        log.error('Scheduled run failed', { scheduleId: s.id, action: s.action, attempt: s.attempts, maxAttempts: SCHEDULE_MAX_ATTEMPTS, error: e.message });
+      }
+      await saveSchedules();
+      broadcast('schedule', {
+        id: s.id, action: s.action, collectionId: s.collectionId, itemIds: s.itemIds,
+        status: s.status, attempt: s.attempts, outcome: s.outcomes[s.outcomes.length - 1]
+      }, (viewer) => canSeeSchedule(viewer, s));
+    }
+  } finally {
+    scheduleTickRunning = false;
+  }
+}
+
+function startScheduleRunner() {
+  const tick = () => runDueSchedules().catch(e => log.error('Schedule runner error', { error: e.message }));
+  tick();
+  setInterval(tick, SCHEDULE_POLL_MS).unref();
+}
+
+app.get('/schedules', asyncHandler(async (req, res) => {
+  const { status, collectionId } = req.query;
+  const cid = collectionId ? resolveCollectionId(collectionId) : undefined;
+  const list = (await loadSchedules())
+    .filter(s => canSeeSchedule(req, s))
+    .filter(s => (!status || s.status === status) && (!cid || s.collectionId === cid))
+    .sort((a, b) => Date.parse(a.runAt) - Date.parse(b.runAt));
+  res.json({ status: 'ok', count: list.length, schedules: list });
+}));
+
+app.get('/schedules/:id', asyncHandler(async (req, res) => {
+  const entry = (await loadSchedules()).find(s => s.id === req.params.id);
+  if (!entry || !canSeeSchedule(req, entry)) throw new HttpError(404, 'Schedule not found');
+  res.json({ status: 'ok', schedule: entry });
+}));
+
+// Cancel a pending entry (kept in the queue with status "cancelled")
+app.delete('/schedules/:id', asyncHandler(async (req, res) => {
+  const entry = (await loadSchedules()).find(s => s.id === req.params.id);
+  if (!entry || !canSeeSchedule(req, entry)) throw new HttpError(404, 'Schedule not found');
+  assertMutationAllowed(req, { collectionId: entry.collectionId, publish: true, delete: false });
+  if (entry.status !== 'pending') throw new HttpError(409, `Schedule is ${entry.status}; only pending entries can be cancelled`);
+  if (isDryRun(req)) return res.json({ status: 'ok', dryRun: true, schedule: entry });
+  entry.status = 'cancelled';
+  entry.cancelledAt = new Date().toISOString();
+  entry.cancelledBy = tokenName(req);
+  await saveSchedules();
+  broadcast('schedule', { id: entry.id, action: entry.action, collectionId: entry.collectionId, status: 'cancelled' },
+    (viewer) => canSeeSchedule(viewer, entry));
+  res.json({ status: 'ok', schedule: entry });
+}));
+
+// ---- Local search index (per collection, built from listAllItems) ----
+const SEARCH_INDEX_TTL_MS = Number(process.env.SEARCH_INDEX_TTL_MS || 5 * 60 * 1000);
+const SEARCH_TEXT_TYPES = ['PlainText', 'RichText'];
+const SEARCH_FIELD_BOOST = { name: 3, slug: 1.5 };
+const STOPWORDS = new Set(['a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it', 'of', 'on',
+  'or', 'that', 'the', 'this', 'to', 'was', 'with', 'about']);
+
+const htmlToText = (html) => String(html ?? '')
+  .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+  .replace(/<[^>]+>/g, ' ')
+  .replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"').replace(/&#39;/g, "'")
+  .replace(/\s+/g, ' ').trim();
+
+const tokenize = (text) => String(text).toLowerCase().split(/[^\p{L}\p{N}]+/u)
+  .filter(t => t.length > 1 && !STOPWORDS.has(t));
+
+async function buildSearchIndex(collectionId, cmsLocaleId) {
+  const [collection, items] = await Promise.all([getCollectionSchema(collectionId), listAllItems(collectionId, 100, null, cmsLocaleId)]);
+  const fields = (collection?.fields || []).filter(f => SEARCH_TEXT_TYPES.includes(f.type));
+  const postings = new Map(); // term -> Map(itemId -> weighted tf)
+  const docLen = new Map();
+  const texts = new Map(); // itemId -> { fieldSlug: plain text }
+  for (const it of items) {
+    const perField = {};
+    let len = 0;
+    for (const f of fields) {
+      const raw = it.fieldData?.[f.slug];
+      if (typeof raw !== 'string' || !raw) continue;
+      const text = f.type === 'RichText' ? htmlToText(raw) : raw;
+      perField[f.slug] = text;
+      const boost = SEARCH_FIELD_BOOST[f.slug] || 1;
+      for (const term of tokenize(text)) {
+        if (!postings.has(term)) postings.set(term, new Map());
+        const p = postings.get(term);
+        p.set(it.id, (p.get(it.id) || 0) + boost);
+        len++;
+      }
+    }
+    docLen.set(it.id, len);
+    texts.set(it.id, perField);
+  }
+  const avgLen = items.length ? [...docLen.values()].reduce((a, b) => a + b, 0) / items.length : 0;
+  return {
+    collectionId,
+    builtAt: Date.now(),
+    collection,
+    fields: collection?.fields || [],
+    items,
+    byId: new Map(items.map(it => [it.id, it])),
+    postings,
+    docLen,
+    avgLen,
+    texts,
+  };
+}
+
+async function getSearchIndex(collectionId, cmsLocaleId = undefined) {
+  const key = cmsLocaleId ? `${collectionId}:${cmsLocaleId}` : collectionId;
+  const hit = searchIndexes.get(key);
+  if (hit && Date.now() - hit.at < SEARCH_INDEX_TTL_MS) return hit.promise;
+  const promise = buildSearchIndex(collectionId, cmsLocaleId);
+  searchIndexes.set(key, { at: Date.now(), promise });
+  promise.catch(() => searchIndexes.delete(key));
+  return promise;
+}
+
+// BM25 over the weighted term frequencies; query terms of 3+ chars also match as prefixes
+function searchIndex(index, query) {
+  const terms = [...new Set(tokenize(query))];
+  const N = index.items.length;
+  const scores = new Map();
+  const matched = new Map();
+  for (const term of terms) {
+    const keys = index.postings.has(term) ? [term] : [];
+    if (term.length >= 3) {
+      for (const k of index.postings.keys()) if (k !== term && k.startsWith(term)) keys.push(k);
+    }
+    for (const k of keys) {
+      const p = index.postings.get(k);
+      const idf = Math.log(1 + (N - p.size + 0.5) / (p.size + 0.5));
+      const exact = k === term ? 1 : 0.5;
+      for (const [id, tf] of p) {
+        const norm = tf * 2.2 / (tf + 1.2 * (0.25 + 0.75 * (index.docLen.get(id) / (index.avgLen || 1))));
+        scores.set(id, (scores.get(id) || 0) + idf * norm * exact);
+        if (!matched.has(id)) matched.set(id, new Set());
+        matched.get(id).add(term);
+      }
+    }
+  }
+  const phrase = String(query).toLowerCase().trim();
+  return [...scores.entries()].map(([id, score]) => {
+    const texts = index.texts.get(id) || {};
+    const nameHit = phrase && String(texts.name || '').toLowerCase().includes(phrase);
+    // Items matching every term rank above partial matches
+    const coverage = (matched.get(id)?.size || 0) / (terms.length || 1);
+    return { id, score: score * (0.5 + coverage / 2) * (nameHit ? 1.5 : 1), terms: [...(matched.get(id) || [])] };
+  }).sort((a, b) => b.score - a.score);
+}
+
+function snippetFor(index, id, terms) {
+  const texts = index.texts.get(id) || {};
+  for (const [field, text] of Object.entries(texts)) {
+    const low = text.toLowerCase();
+    const at = terms.map(t => low.indexOf(t)).filter(i => i >= 0).sort((a, b) => a - b)[0];
+    if (at === undefined) continue;
+    const start = Math.max(0, at - 60);
+    return { field, text: `${start ? '…' : ''}${text.slice(start, start + 180)}${start + 180 < text.length ? '…' : ''}` };
+  }
+  return null;
+}
+
+// filter[field]=v | filter[field][op]=v with op: eq, ne, contains, in, gt, gte, lt, lte, ref
+function itemMatchesFilters(item, filters, fieldTypes) {
+  for (const [field, cond] of Object.entries(filters)) {
+    const type = fieldTypes.get(field);
+    const value = item.fieldData && field in item.fieldData ? item.fieldData[field] : item[field];
+    const ops = (cond && typeof cond === 'object' && !Array.isArray(cond)) ? cond : { eq: cond };
+    for (const [op, expected] of Object.entries(ops)) {
+      if (!filterOp(op, value, expected, type)) return false;
+    }
+  }
+  return true;
+}
+
+function filterOp(op, value, expected, type) {
+  const str = (v) => (type === 'RichText' ? htmlToText(v) : String(v ?? '')).toLowerCase();
+  const isDate = type === 'DateTime' || type === 'Date';
+  const cmp = (v, e) => {
+    if (isDate) return Date.parse(v) - Date.parse(e);
+    if (type === 'Number' || (typeof v === 'number')) return Number(v) - Number(e);
+    return String(v ?? '').localeCompare(String(e));
+  };
+  const ids = Array.isArray(value) ? value.map(String) : (value == null ? [] : [String(value?.id ?? value)]);
+  switch (op) {
+    case 'eq':
+      if (type === 'MultiReference' || Array.isArray(value)) return ids.includes(String(expected));
+      if (type === 'Switch' || typeof value === 'boolean') return String(!!value) === String(expected).toLowerCase();
+      if (isDate || type === 'Number') return value != null && cmp(value, expected) === 0;
+      return str(value) === String(expected).toLowerCase();
+    case 'ne': return !filterOp('eq', value, expected, type);
+    case 'contains': return str(Array.isArray(value) ? value.join(' ') : value).includes(String(expected).toLowerCase());
+    case 'in': return String(expected).split(',').some(e => filterOp('eq', value, e.trim(), type));
+    case 'ref': return ids.includes(String(expected));
+    case 'gt': return value != null && cmp(value, expected) > 0;
+    case 'gte': return value != null && cmp(value, expected) >= 0;
+    case 'lt': return value != null && cmp(value, expected) < 0;
+    case 'lte': return value != null && cmp(value, expected) <= 0;
+    default: throw new HttpError(400, `Unknown filter operator "${op}"`, { operators: ['eq', 'ne', 'contains', 'in', 'ref', 'gt', 'gte', 'lt', 'lte'] });
+  }
+}
+
+// sort=-lastUpdated,name  (leading "-" = descending; "field:desc" also accepted)
+function sortItems(items, sort, fieldTypes) {
+  const keys = String(sort).split(',').map(s => s.trim()).filter(Boolean).map(s => {
+    const [f, dir] = s.split(':');
+    return f.startsWith('-') ? { field: f.slice(1), desc: true } : { field: f, desc: dir === 'desc' };
+  });
+  const get = (it, f) => (it.fieldData && f in it.fieldData ? it.fieldData[f] : it[f]);
+  return [...items].sort((a, b) => {
+    for (const { field, desc } of keys) {
+      const va = get(a, field), vb = get(b, field);
+      if (va == null && vb == null) continue;
+      if (va == null) return 1;
+      if (vb == null) return -1;
+      const type = fieldTypes.get(field);
+      const d = (type === 'Number' || typeof va === 'number') ? va - vb
+        : (type === 'DateTime' || type === 'Date')
+          ? Date.parse(va) - Date.parse(vb)
+          : String(va).localeCompare(String(vb));
+      if (d) return desc ? -d : d;
+    }
+    return 0;
+  });
+}
+
+// Items list with filter/sort/q, served from the local index
+async function queryItems(collectionId, { filter, sort, q, limit, offset, cmsLocaleId }) {
+  if (filter !== undefined && (typeof filter !== 'object' || Array.isArray(filter))) {
+    throw new HttpError(400, 'filter must be given as filter[field]=value or filter[field][op]=value');
+  }
+  const index = await getSearchIndex(collectionId, cmsLocaleId);
+  const fieldTypes = new Map(index.fields.map(f => [f.slug, f.type]));
+  for (const k of ['createdOn', 'lastUpdated', 'lastPublished']) fieldTypes.set(k, 'DateTime');
+  let items = index.items;
+  let ranked = null;
+  if (q) {
+    ranked = searchIndex(index, q);
+    items = ranked.map(r => index.byId.get(r.id));
+  }
+  if (filter) items = items.filter(it => itemMatchesFilters(it, filter, fieldTypes));
+  if (sort) items = sortItems(items, sort, fieldTypes);
+  const l = Math.min(Number(limit || 100), 100);
+  const o = Number(offset || 0);
+  return {
+    status: 'ok',
+    collectionId,
+    source: 'index',
+    indexedAt: new Date(index.builtAt).toISOString(),
+    total: items.length,
+    count: items.slice(o, o + l).length,
+    items: items.slice(o, o + l),
+  };
+}
+
+app.get('/search', asyncHandler(async (req, res) => {
+  const q = String(req.query.q || '').trim();
+  if (!q) throw new HttpError(400, 'q required');
+  const limit = Math.min(Number(req.query.limit || 20), 100);
+  // Collections named explicitly must be in the token's scope; the alias default is narrowed to it
+  let requested;
+  if (req.query.collections) {
+    requested = String(req.query.collections).split(',').map(s => resolveCollectionId(s.trim())).filter(Boolean);
+    for (const cid of requested) assertScope(req, { collectionId: cid });
+  } else {
+    requested = aliasedCollections().filter(c => canAccessCollection(req, c.id)).map(c => c.id);
+  }
+  if (!requested.length) throw new HttpError(400, 'No collections to search (pass collections= or configure aliases)');
+
+  const errors = [];
+  const results = [];
+  for (const cid of [...new Set(requested)]) {
+    let index;
+    try { index = await getSearchIndex(cid); } catch (e) {
+      errors.push({ collectionId: cid, status: e.status || 500, message: e.message });
+      continue;
+    }
+    for (const r of searchIndex(index, q)) {
+      const it = index.byId.get(r.id);
+      results.push({
+        collectionId: cid,
+        itemId: r.id,
+        score: Number(r.score.toFixed(4)),
+        name: it?.fieldData?.name,
+        slug: it?.fieldData?.slug,
+        isDraft: it?.isDraft ?? false,
+        isArchived: it?.isArchived ?? false,
+        matchedTerms: r.terms,
+        snippet: snippetFor(index, r.id, r.terms),
+      });
+    }
+  }
+  results.sort((a, b) => b.score - a.score);
+  res.json({ status: 'ok', q, total: results.length, count: Math.min(limit, results.length), results: results.slice(0, limit), errors });
+}));
+
+// ---- Journal browse + revert ----
+app.get('/journal', asyncHandler(async (req, res) => {
+  const { collectionId, itemId, kind } = req.query;
+  const limit = Math.min(Number(req.query.limit || 50), 500);
+  const offset = Number(req.query.offset || 0);
+  const cid = collectionId ? resolveCollectionId(collectionId) : undefined;
+  const entries = (await readJournal())
+    .filter(e => canAccessCollection(req, e.collectionId))
+    .filter(e => (!cid || e.collectionId === cid) && (!itemId || e.itemId === itemId) && (!kind || e.kind === kind))
+    .reverse();
+  res.json({ status: 'ok', total: entries.length, count: Math.min(limit, Math.max(0, entries.length - offset)), entries: entries.slice(offset, offset + limit) });
+}));
+
+app.get('/journal/:entryId', asyncHandler(async (req, res) => {
+  const entry = (await readJournal()).find(e => e.id === req.params.entryId);
+  if (!entry || !canAccessCollection(req, entry.collectionId)) throw new HttpError(404, 'Journal entry not found');
+  res.json({ status: 'ok', entry });
+}));
+
+// Entry ids with a revert running; a concurrent revert of the same entry gets 409. The lock is
+// taken before the journal is read and held until the revert's result line is written.
+const revertsInFlight = new Set();
+
+// Restore the state captured before an entry: re-PATCH updates, re-create deletes, delete creates
+app.post('/journal/:entryId/revert', asyncHandler(async (req, res) => {
+  const { entryId } = req.params;
+  if (revertsInFlight.has(entryId)) throw new HttpError(409, 'A revert of this entry is already in progress');
+  revertsInFlight.add(entryId);
+  try {
+    await revertJournalEntry(req, res);
+  } finally {
+    revertsInFlight.delete(entryId);
+  }
+}));
+
+async function revertJournalEntry(req, res) {
+  const entry = (await readJournal()).find(e => e.id === req.params.entryId);
+  if (!entry) throw new HttpError(404, 'Journal entry not found');
+  assertMutationAllowed(req, { collectionId: entry.collectionId, delete: entry.kind === 'item.create' });
+  if (!entry.result?.ok) throw new HttpError(409, 'Entry did not complete successfully; nothing to revert');
+  if (entry.revertedBy) throw new HttpError(409, 'Entry was already reverted', { revertedBy: entry.revertedBy });
+
+  const { collectionId } = entry;
+  const actor = journalActor(req);
+  const restorePayload = (item) => ({
+    fieldData: item.fieldData || {},
+    isDraft: item.isDraft,
+    isArchived: item.isArchived,
+  });
+  const dryRun = isDryRun(req);
+  // Dry run: what the revert would change, from the item as it is now
+  const preview = (action, itemId, current, payload) => res.json({
+    status: 'ok', dryRun: true, revert: entry.id, kind: entry.kind, action, collectionId, itemId,
+    diff: diffItem(current, payload), current,
+  });
+  let result;
+  switch (entry.kind) {
+    case 'item.update': {
+      if (!entry.before) throw new HttpError(409, 'No before-snapshot recorded for this entry');
+      const { cmsLocaleId } = entry;
+      const current = await snapshotItem(collectionId, entry.itemId, cmsLocaleId);
+      if (!current) throw new HttpError(409, 'Item no longer exists; revert its delete entry instead');
+      if (dryRun) return preview('update', entry.itemId, current, restorePayload(entry.before));
+      result = await journaled(actor, { kind: 'item.update', collectionId, itemId: entry.itemId, cmsLocaleId, before: current, revertOf: entry.id }, () =>
+        wf('PATCH', `/collections/${collectionId}/items/${entry.itemId}`, {
+          body: { ...restorePayload(entry.before), ...(cmsLocaleId ? { cmsLocaleId } : {}) }
+        }));
+      break;
+    }
+    case 'item.delete': {
+      if (!entry.before) throw new HttpError(409, 'No before-snapshot recorded for this entry');
+      if (dryRun) return preview('create', null, null, restorePayload(entry.before));
+      result = await journaled(actor, { kind: 'item.create', collectionId, before: null, revertOf: entry.id }, () =>
+        wf('POST', `/collections/${collectionId}/items`, { body: restorePayload(entry.before) }));
+      break;
+    }
+    case 'item.create': {
+      const itemId = entry.result.after?.id;
+      if (!itemId) throw new HttpError(409, 'Created item id was not recorded');
+      const current = await snapshotItem(collectionId, itemId);
+      if (dryRun) return preview('delete', itemId, current, null);
+      result = await journaled(actor, { kind: 'item.delete', collectionId, itemId, before: current, revertOf: entry.id }, () =>
+        wf('DELETE', `/collections/${collectionId}/items/${itemId}`));
+      break;
+    }
+    default:
+      throw new HttpError(409, `Entries of kind ${entry.kind} cannot be reverted automatically`, { before: entry.before });
+  }
+  res.json({ status: 'ok', reverted: entry.id, kind: entry.kind, result });
+}
+
+// ---- Audit rules (schema-aware content checks; configurable per collection) ----
+// AUDIT_RULES / AUDIT_RULES_FILE: { "*": { "imageAlt": false }, "articles": { "seoLength": { "titleMax": 65 } } }
+// Keys are collection ids or aliases ("*" applies to all); a rule is false (off), true or an options object.
+const AUDIT_RULE_DEFAULTS = {
+  requiredFields: { severity: 'error' },
+  brokenReferences: { severity: 'error' },
+  imageAlt: { severity: 'warning' },
+  seoLength: { severity: 'warning', titleMin: 10, titleMax: 60, descriptionMin: 50, descriptionMax: 160 },
+  slugFormat: { severity: 'error' },
+  richTextLinks: { severity: 'warning' },
+  translations: { severity: 'warning', flagIdentical: true },
+};
+const AUDIT_SEVERITIES = ['error', 'warning', 'info'];
+const SEO_TITLE_RE = /(seo|meta).*title|title.*tag/i;
+const SEO_DESCRIPTION_RE = /(seo|meta).*desc/i;
+const SAFE_SLUG_RE = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+function loadAuditRuleConfig() {
+  const config = {};
+  const merge = (raw, label) => {
+    let parsed;
+    try { parsed = JSON.parse(raw); } catch (e) { throw new Error(`${label} is not valid JSON: ${e.message}`); }
+    for (const [key, rules] of Object.entries(parsed || {})) {
+      for (const [rule, value] of Object.entries(rules || {})) {
+        if (!AUDIT_RULE_DEFAULTS[rule]) throw new Error(`${label}: unknown audit rule "${rule}" for ${key}`);
+        if (value?.severity && !AUDIT_SEVERITIES.includes(value.severity)) {
+          throw new Error(`${label}: severity for ${key}.${rule} must be one of ${AUDIT_SEVERITIES.join(', ')}`);
+        }
+      }
+      config[key] = { ...config[key], ...rules };
+    }
+  };
+  if (AUDIT_RULES_FILE) {
+    let text;
+    try { text = fs.readFileSync(AUDIT_RULES_FILE, 'utf8'); } catch (e) {
+      throw new Error(`Cannot read AUDIT_RULES_FILE ${AUDIT_RULES_FILE}: ${e.message}`);
+    }
+    merge(text, 'AUDIT_RULES_FILE');
+  }
+  if (AUDIT_RULES) merge(AUDIT_RULES, 'AUDIT_RULES');
+  return config;
+}
+const auditRuleConfig = loadAuditRuleConfig();
+
+// Enabled rules for one collection with their options; aliases are resolved at call time
+function auditRulesFor(collectionId) {
+  const layers = [auditRuleConfig['*'], ...Object.entries(auditRuleConfig)
+    .filter(([key]) => key !== '*' && resolveCollectionId(key) === collectionId).map(([, v]) => v)];
+  const rules = {};
+  for (const [rule, defaults] of Object.entries(AUDIT_RULE_DEFAULTS)) {
+    let value = true;
+    for (const layer of layers) if (layer && layer[rule] !== undefined) value = layer[rule];
+    if (value === false) continue;
+    rules[rule] = { ...defaults, ...(typeof value === 'object' ? value : {}) };
+  }
+  return rules;
+}
+
+const slugify = (s) => String(s ?? '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 256);
+
+const truncateAtWord = (s, max) => {
+  if (s.length <= max) return s;
+  const cut = s.slice(0, max + 1);
+  const space = cut.lastIndexOf(' ');
+  return (space > max * 0.6 ? cut.slice(0, space) : s.slice(0, max)).replace(/[\s,;:–-]+$/, '');
+};
+
+const richTextHrefs = (html) =>
+  [...String(html ?? '').matchAll(/<a\b[^>]*?\bhref\s*=\s*(["'])(.*?)\1/gi)].map(m => m[2]);
+
+/**
+ * Per-run lookups shared by every audited collection: items per collection and locale (memoized;
+ * the audit's own listing goes through here too), the site's locales, and its collection page URLs
+ * for link checks.
+ */
+function createAuditContext({ siteId, collections, job }) {
+  const items = new Map();
+  let linkTargets = null;
+  let locales = null;
+  let localesError = null;
+  const ctx = {
+    items(collectionId, withJob = false, cmsLocaleId = undefined) {
+      const key = cmsLocaleId ? `${collectionId}:${cmsLocaleId}` : collectionId;
+      if (!items.has(key)) items.set(key, listAllItems(collectionId, 100, withJob ? job : null, cmsLocaleId));
+      return items.get(key);
+    },
+    // [] when the site cannot be loaded; takeLocalesError() hands the failure to one caller
+    locales() {
+      locales ||= (siteId ? getSiteLocales(siteId) : Promise.resolve([])).catch((e) => {
+        log.warn('Audit could not load site locales', { siteId, error: e.message });
+        localesError = e;
+        return [];
+      });
+      return locales;
+    },
+    takeLocalesError() {
+      const e = localesError;
+      localesError = null;
+      return e;
+    },
+    // { hosts, bySlug: collection slug → collection id } for /<collection>/<item> links
+    linkTargets() {
+      linkTargets ||= (async () => {
+        const hosts = new Set();
+        let list = collections.filter(c => c.slug);
+        if (siteId) {
+          try {
+            const site = await wf('GET', `/sites/${siteId}`);
+            if (site?.shortName) hosts.add(`${site.shortName}.webflow.io`);
+            for (const d of site?.customDomains || []) if (d.url) hosts.add(String(d.url).toLowerCase());
+            if (list.length < collections.length || !list.length) list = await listCollectionsForSite(siteId);
+          } catch (e) {
+            log.warn('Audit link check could not load site', { siteId, error: e.message });
+          }
+        }
+        if (!list.length) {
+          list = (await Promise.all(collections.map(c => getCollectionSchema(c.id).catch(() => null)))).filter(Boolean);
+        }
+        return { hosts, bySlug: new Map(list.filter(c => c.slug).map(c => [c.slug, c.id])) };
+      })();
+      return linkTargets;
+    },
+  };
+  return ctx;
+}
+
+// Resolve an href to { collectionSlug, itemSlug } when it points at a collection page on this site
+function collectionPageLink(href, hosts) {
+  let url;
+  try { url = new URL(href, 'https://relative.invalid'); } catch { return null; }
+  if (!['http:', 'https:'].includes(url.protocol)) return null;
+  const host = url.hostname.toLowerCase();
+  if (host !== 'relative.invalid' && !hosts.has(host) && !hosts.has(host.replace(/^www\./, ''))) return null;
+  const parts = url.pathname.split('/').filter(Boolean);
+  if (parts.length !== 2) return null;
+  try {
+    return { collectionSlug: decodeURIComponent(parts[0]), itemSlug: decodeURIComponent(parts[1]) };
+  } catch { return null; }
+}
+
+/**
+ * Run the enabled rules over one collection's items. Returns findings
+ * ({ rule, severity, itemId, field, message, ... }) and merges fixes into `patchSuggestions`.
+ */
+async function runAuditRules(ctx, collectionId, items, patchSuggestions) {
+  const rules = auditRulesFor(collectionId);
+  const findings = [];
+  if (!Object.keys(rules).length) return { rules: [], findings };
+  const schema = await getCollectionSchema(collectionId);
+  const fields = schema?.fields || [];
+
+  const suggestions = new Map(patchSuggestions.map(s => [s.itemId, s]));
+  const suggest = (it, kind, changes) => {
+    let s = suggestions.get(it.id);
+    if (!s) {
+      s = {
+        itemId: it.id, kinds: [], changes: {},
+        patch: { fieldData: { _draft: it?.fieldData?._draft ?? false, _archived: it?.fieldData?._archived ?? false } }
+      };
+      suggestions.set(it.id, s);
+      patchSuggestions.push(s);
+    }
+    if (!s.kinds.includes(kind)) s.kinds.push(kind);
+    s.kindFields ||= {};
+    s.kindFields[kind] = [...new Set([...(s.kindFields[kind] || []), ...Object.keys(changes)])];
+    Object.assign(s.changes, changes);
+    Object.assign(s.patch.fieldData, changes);
+  };
+  // A field value as already changed by an earlier suggestion for the same item
+  const current = (it, key) => suggestions.get(it.id)?.changes[key] ?? it.fieldData?.[key];
+  const find = (rule, it, field, message, extra = {}) =>
+    findings.push({ rule, severity: rules[rule].severity, itemId: it.id, field, message, ...extra });
+
+  const refFields = fields.filter(f => ['Reference', 'MultiReference'].includes(f.type) && f.validations?.collectionId);
+  const refItems = new Map();
+  if (rules.brokenReferences) {
+    for (const f of refFields) {
+      const refCid = f.validations.collectionId;
+      if (refItems.has(refCid)) continue;
+      try {
+        refItems.set(refCid, new Map((await ctx.items(refCid)).map(it => [it.id, it])));
+      } catch (e) {
+        findings.push({ rule: 'brokenReferences', severity: 'info', field: f.slug,
+          message: `Could not load referenced collection ${refCid}: ${e.message}` });
+      }
+    }
+  }
+  const links = rules.richTextLinks ? await ctx.linkTargets() : null;
+  const slugs = new Set(items.map(it => it.fieldData?.slug).filter(Boolean));
+
+  for (const it of items) {
+    const fd = it.fieldData || {};
+    const takeLast = String(it.id).slice(-6);
+
+    if (rules.requiredFields) {
+      for (const f of fields) {
+        if (f.isRequired && !['name', 'slug'].includes(f.slug) && isBlank(fd[f.slug])) {
+          find('requiredFields', it, f.slug, `Required field "${f.displayName || f.slug}" is empty`);
+        }
+      }
+    }
+
+    if (rules.brokenReferences) {
+      for (const f of refFields) {
+        const targets = refItems.get(f.validations.collectionId);
+        const value = fd[f.slug];
+        if (!targets || isBlank(value)) continue;
+        const ids = f.type === 'Reference' ? [value] : value;
+        const broken = ids.map(id => ({ id, target: targets.get(id) }))
+          .filter(({ target }) => !target || target.isArchived)
+          .map(({ id, target }) => ({ id, reason: target ? 'archived' : 'missing' }));
+        if (!broken.length) continue;
+        find('brokenReferences', it, f.slug,
+          `${broken.length} reference(s) point at ${[...new Set(broken.map(b => b.reason))].join('/')} items`, { references: broken });
+        const brokenIds = new Set(broken.map(b => b.id));
+        if (f.type === 'MultiReference') suggest(it, 'brokenReference', { [f.slug]: ids.filter(id => !brokenIds.has(id)) });
+        else if (!f.isRequired) suggest(it, 'brokenReference', { [f.slug]: null });
+      }
+    }
+
+    if (rules.imageAlt) {
+      for (const f of fields.filter(f => ['Image', 'MultiImage'].includes(f.type))) {
+        const value = fd[f.slug];
+        if (isBlank(value)) continue;
+        const images = f.type === 'Image' ? [value] : value;
+        const missing = images.filter(img => img && typeof img === 'object' && isBlank(img.alt));
+        if (!missing.length) continue;
+        find('imageAlt', it, f.slug, `${missing.length} image(s) without alt text`);
+        const alt = fd.name;
+        if (isBlank(alt)) continue;
+        const fixed = images.map(img => (img && typeof img === 'object' && isBlank(img.alt) ? { ...img, alt } : img));
+        suggest(it, 'missingAltText', { [f.slug]: f.type === 'Image' ? fixed[0] : fixed });
+      }
+    }
+
+    if (rules.seoLength) {
+      const o = rules.seoLength;
+      for (const f of fields.filter(f => f.type === 'PlainText')) {
+        const kind = SEO_TITLE_RE.test(f.slug) ? 'title' : (SEO_DESCRIPTION_RE.test(f.slug) ? 'description' : null);
+        const value = fd[f.slug];
+        if (!kind || typeof value !== 'string' || !value.trim()) continue;
+        const min = o[`${kind}Min`], max = o[`${kind}Max`];
+        if (value.length > max) {
+          find('seoLength', it, f.slug, `SEO ${kind} is ${value.length} characters (max ${max})`, { length: value.length });
+          suggest(it, 'seoTooLong', { [f.slug]: truncateAtWord(value, max) });
+        } else if (value.length < min) {
+          findings.push({ rule: 'seoLength', severity: 'info', itemId: it.id, field: f.slug,
+            message: `SEO ${kind} is ${value.length} characters (min ${min})`, length: value.length });
+        }
+      }
+    }
+
+    if (rules.slugFormat && typeof fd.slug === 'string' && fd.slug && !SAFE_SLUG_RE.test(fd.slug)) {
+      find('slugFormat', it, 'slug', `Slug "${fd.slug}" is not URL-safe (lowercase letters, digits and single hyphens)`);
+      let next = slugify(current(it, 'slug')) || `auto-${takeLast}`;
+      if (next !== fd.slug && slugs.has(next)) next = `${next}-${takeLast}`;
+      suggest(it, 'unsafeSlug', { slug: next });
+    }
+
+    if (links) {
+      for (const f of fields.filter(f => f.type === 'RichText')) {
+        for (const href of richTextHrefs(fd[f.slug])) {
+          const link = collectionPageLink(href, links.hosts);
+          const targetCid = link && links.bySlug.get(link.collectionSlug);
+          if (!targetCid) continue;
+          let targetSlugs;
+          try {
+            targetSlugs = (await ctx.items(targetCid)).map(t => t.fieldData?.slug).filter(Boolean);
+          } catch { continue; }
+          if (targetSlugs.includes(link.itemSlug)) continue;
+          const closest = closestSlug(link.itemSlug, targetSlugs);
+          find('richTextLinks', it, f.slug, `Link ${href} points at a ${link.collectionSlug} item that does not exist`,
+            { href, didYouMean: closest });
+          if (closest) {
+            const fixed = href.replace(/\/[^/?#]+(\/?)(?=[?#]|$)/, `/${encodeURIComponent(closest)}$1`);
+            suggest(it, 'brokenLink', { [f.slug]: String(current(it, f.slug)).split(href).join(fixed) });
+          }
+        }
+      }
+    }
+  }
+
+  // Secondary locales: text the primary has but the locale lacks (or, with flagIdentical, copies
+  // verbatim), and translations last edited before the primary content changed
+  if (rules.translations) {
+    const secondary = (await ctx.locales()).filter(l => !l.primary && l.enabled !== false);
+    const localesError = ctx.takeLocalesError();
+    if (localesError) {
+      findings.push({ rule: 'translations', severity: 'info', message: `Could not load the site locales; translations were not checked: ${localesError.message}` });
+    }
+    const textFields = fields.filter(f => ['PlainText', 'RichText'].includes(f.type) && f.slug !== 'slug');
+    for (const locale of secondary) {
+      const tag = locale.tag || locale.cmsLocaleId;
+      let localized;
+      try {
+        localized = new Map((await ctx.items(collectionId, false, locale.cmsLocaleId)).map(it => [it.id, it]));
+      } catch (e) {
+        findings.push({ rule: 'translations', severity: 'info', locale: tag, message: `Could not load the ${tag} items: ${e.message}` });
+        continue;
+      }
+      for (const it of items) {
+        const tr = localized.get(it.id);
+        if (!tr) {
+          find('translations', it, null, `No ${tag} version`, { locale: tag, issue: 'missing' });
+          continue;
+        }
+        const source = textFields.filter(f => !isBlank(it.fieldData?.[f.slug]));
+        let translated = 0;
+        for (const f of source) {
+          const value = tr.fieldData?.[f.slug];
+          if (isBlank(value)) {
+            find('translations', it, f.slug, `"${f.displayName || f.slug}" has no ${tag} translation`, { locale: tag, issue: 'missing' });
+          } else if (rules.translations.flagIdentical && value === it.fieldData[f.slug]) {
+            find('translations', it, f.slug, `"${f.displayName || f.slug}" in ${tag} is the same as the primary locale`, { locale: tag, issue: 'untranslated' });
+          } else translated++;
+        }
+        if (translated && Date.parse(tr.lastUpdated) < Date.parse(it.lastUpdated)) {
+          find('translations', it, null, `${tag} version was last updated before the primary content changed`,
+            { locale: tag, issue: 'drifted', primaryUpdated: it.lastUpdated, localeUpdated: tr.lastUpdated });
+        }
+      }
+    }
+  }
+  return { rules: Object.keys(rules), findings };
+}
+
+// Audit: per-collection findings + patchSuggestions (no mutations). job: optional async job context
+async function runAudit({ full, siteId, allowCollection = () => true, job = null }) {
+  const report = {
+    status: 'ok',
+    mode: full ? 'full' : 'safe',
+    startedAt: new Date().toISOString(),
+    siteId: siteId || null,
+    totals: { collections: 0, items: 0, findings: { error: 0, warning: 0, info: 0 } },
+    aliases: aliasTable().filter(a => allowCollection(a.collectionId)),
+    collections: [],
+    smokeTest: null
+  };
+
+  let collections = [];
+  try {
+    if (full) {
+      if (!siteId) throw new HttpError(400, 'Missing siteId (and WEBFLOW_SITE_ID not set)');
+      collections = await listCollectionsForSite(siteId);
+    } else {
+      collections = aliasedCollections().map(({ id, aliases }) => ({ id, name: `${aliases.join(', ')} (alias)` }));
+    }
+  } catch (e) {
+    report.collectionsFetchError = { status: e.status || 500, message: e.message, details: e.details };
+  }
+  collections = collections.filter(c => allowCollection(c.id || c._id || c.collectionId || c));
+
+  report.totals.collections = collections.length;
+  const auditCtx = createAuditContext({
+    siteId, job, collections: collections.map(c => ({ id: c.id || c._id || c.collectionId || c, slug: c.slug }))
+  });
+  job?.partial(report);
+  job?.progress({ collectionsTotal: collections.length });
 
   for (const c of collections) {
+    job?.checkpoint();
     const cid = c.id || c._id || c.collectionId || c;
     const cname = c.name || c.displayName || c.slug || cid;
     let items = [];
     let colError = null;
 
-    try { items = await listAllItems(cid); }
-    catch (e) { colError = { status: e.status || 500, message: e.message, details: e.details }; }
+    try { items = await auditCtx.items(cid, true); }
+    catch (e) {
+      if (job?.signal.aborted) throw e;
+      colError = { status: e.status || 500, message: e.message, details: e.details };
+      job?.error({ collectionId: cid, ...colError });
+    }
 
     report.totals.items += items.length;
 
@@ -364,19 +3190,35 @@ app.get('/audit', asyncHandler(async (req, res) => {
       const slug = it?.slug ?? it?.fieldData?.slug;
       const name = it?.name ?? it?.fieldData?.name;
       const changes = {};
-      let needs = false;
-      if (!slug) { changes.slug = `auto-${takeLast(id, 6)}`; needs = true; }
-      else if (dupSlugs.find(d => d.itemIds.includes(id))) { changes.slug = `${slug}-${takeLast(id, 6)}`; needs = true; }
-      if (!name) { changes.name = `Missing name ${takeLast(id, 6)}`; needs = true; }
-      if (needs) {
+      const kinds = [];
+      if (!slug) { changes.slug = `auto-${takeLast(id, 6)}`; kinds.push('missingSlug'); }
+      else if (dupSlugs.find(d => d.itemIds.includes(id))) { changes.slug = `${slug}-${takeLast(id, 6)}`; kinds.push('duplicateSlug'); }
+      if (!name) { changes.name = `Missing name ${takeLast(id, 6)}`; kinds.push('missingName'); }
+      if (kinds.length) {
         patchSuggestions.push({
           itemId: id,
+          kinds,
           changes,
           patch: { fieldData: { ...changes, _draft: it?.fieldData?._draft ?? false, _archived: it?.fieldData?._archived ?? false } }
         });
       }
     }
 
+    let ruleResult = { rules: [], findings: [] };
+    if (!colError) {
+      try {
+        ruleResult = await runAuditRules(auditCtx, cid, items, patchSuggestions);
+      } catch (e) {
+        if (job?.signal.aborted) throw e;
+        ruleResult.error = { status: e.status || 500, message: e.message };
+      }
+    }
+    const findingCounts = { error: 0, warning: 0, info: 0 };
+    for (const f of ruleResult.findings) {
+      findingCounts[f.severity]++;
+      report.totals.findings[f.severity]++;
+    }
+
     report.collections.push({
       id: cid,
       name: cname,
@@ -387,102 +3229,1061 @@ app.get('/audit', asyncHandler(async (req, res) => {
         missingNames: missingNames.length,
         drafts: drafts.length,
         archived: archived.length,
-        duplicateSlugGroups: dupSlugs.length
+        duplicateSlugGroups: dupSlugs.length,
+        findings: findingCounts
       },
       duplicateSlugs: dupSlugs,
+      rules: ruleResult.rules,
+      rulesError: ruleResult.error,
+      findings: ruleResult.findings,
       patchSuggestions
     });
+    job?.bump('collectionsScanned');
   }
 
-  // Smoke test (create → update → optional publish → delete)
-  if (doSmoke) {
-    assertMutationAllowed(req);
-    const smoke = { startedAt: new Date().toISOString() };
-    const targetCid = RESOURCES_COLLECTION_ID || ARTICLES_COLLECTION_ID || (report.collections[0]?.id);
-    smoke.collectionId = targetCid;
+  return report;
+}
 
-    try {
-      if (!targetCid) throw new HttpError(400, 'No collection id available for smoke test');
+// Smoke test (create → update → optional publish → delete) against one collection
+async function runSmokeTest(targetCid, publish) {
+  const smoke = { startedAt: new Date().toISOString(), collectionId: targetCid };
+  try {
+    if (!targetCid) throw new HttpError(400, 'No collection id available for smoke test');
 
-      const ts = Date.now();
-      const slug = `mcp-smoke-${ts}`;
-      const name = `MCP Smoke Test ${ts}`;
+    const ts = Date.now();
+    const slug = `mcp-smoke-${ts}`;
+    const name = `MCP Smoke Test ${ts}`;
 
-      const created = await wf('POST', `/collections/${targetCid}/items`, {
-        body: { fieldData: { name, slug }, isDraft: true, isArchived: false }
+    const created = await wf('POST', `/collections/${targetCid}/items`, {
+      body: { fieldData: { name, slug }, isDraft: true, isArchived: false }
+    });
+    const createdItemId =
+      created?.id || created?._id || created?.item?._id || created?.item?.id || created?.itemId;
+
+    smoke.created = { ok: true, itemId: createdItemId };
+
+    await wf('PATCH', `/collections/${targetCid}/items/${createdItemId}`, {
+      body: { fieldData: { name: `${name} (updated)`, slug }, isDraft: true, isArchived: false }
+    });
+    smoke.updated = { ok: true };
+
+    if (publish) {
+      const pub = await wf('POST', `/collections/${targetCid}/items/publish`, {
+        body: { itemIds: [createdItemId], publishTo: WEBFLOW_SITE_ID ? [WEBFLOW_SITE_ID] : undefined }
       });
-      const createdItemId =
-        created?.id || created?._id || created?.item?._id || created?.item?.id || created?.itemId;
+      smoke.published = { ok: true, data: pub };
+    }
+
+    await wf('DELETE', `/collections/${targetCid}/items/${createdItemId}`);
+    smoke.deleted = { ok: true };
+    smoke.ok = true;
+  } catch (e) {
+    smoke.ok = false;
+    smoke.error = { status: e.status || 500, message: e.message, details: e.details };
+  }
+  return smoke;
+}
 
-      smoke.created = { ok: true, itemId: createdItemId };
+app.get('/audit', asyncHandler(async (req, res) => {
+  const full = (req.query.full === 'true');
+  const siteId = req.query.siteId || WEBFLOW_SITE_ID;
+  const doSmoke = (req.query.doSmoke ?? 'true') === 'true';
+  const publish = (req.query.publish ?? 'false') === 'true';
 
-      await wf('PATCH', `/collections/${targetCid}/items/${createdItemId}`, {
-        body: { fieldData: { name: `${name} (updated)`, slug }, isDraft: true, isArchived: false }
+  if (full) assertScope(req, { siteId });
+  const envCid = RESOURCES_COLLECTION_ID || ARTICLES_COLLECTION_ID;
+  if (doSmoke) {
+    assertMutationAllowed(req);
+    // GET skips the method-based guard, so hold the smoke test to the token's write scopes here
+    const t = req.token;
+    if (t && (!t.delete || (publish && !t.publish) || (envCid && !canAccessCollection(req, envCid)) ||
+      (t.methods && !['POST', 'PATCH', 'DELETE'].every(m => t.methods.includes(m))))) {
+      throw new HttpError(403, `Token "${t.name}" may not run the mutating smoke test; use doSmoke=false`, {
+        code: 'TOKEN_SCOPE_DENIED', token: t.name
       });
-      smoke.updated = { ok: true };
+    }
+  }
 
-      if (publish) {
-        const pub = await wf('POST', `/collections/${targetCid}/items/publish`, {
-          body: { itemIds: [createdItemId], publishTo: WEBFLOW_SITE_ID ? [WEBFLOW_SITE_ID] : undefined }
-        });
-        smoke.published = { ok: true, data: pub };
+  const audit = async (job = null) => {
+    const report = await runAudit({ full, siteId, allowCollection: (id) => canAccessCollection(req, id), job });
+    if (doSmoke) {
+      job?.checkpoint();
+      // Without a configured collection, fall back to the first one the token can see
+      report.smokeTest = await runSmokeTest(envCid || report.collections[0]?.id, publish);
+    }
+    report.finishedAt = new Date().toISOString();
+    return report;
+  };
+
+  if (wantsAsync(req)) {
+    return jobAccepted(res, startJob(req, 'audit', { full, siteId, doSmoke, publish }, audit));
+  }
+  res.json(await audit());
+}));
+
+// Apply audit patchSuggestions. Body: { report?, full?, siteId?, collectionIds?, itemIds?, kinds?, publish? }
+// Without `report` the audit is re-run. kinds: see AUDIT_FIX_KINDS
+const AUDIT_FIX_KINDS = [
+  'missingSlug', 'missingName', 'duplicateSlug',
+  'brokenReference', 'missingAltText', 'seoTooLong', 'unsafeSlug', 'brokenLink',
+];
+
+// Reports from before suggestions carried `kinds`
+const suggestionKinds = (s) => s.kinds || [
+  ...(s.changes?.slug ? [String(s.changes.slug).startsWith('auto-') ? 'missingSlug' : 'duplicateSlug'] : []),
+  ...(s.changes?.name ? ['missingName'] : []),
+];
+
+// Fields each built-in kind changes, for suggestions that don't carry kindFields
+const AUDIT_KIND_FIELDS = { missingSlug: ['slug'], duplicateSlug: ['slug'], missingName: ['name'] };
+
+// Narrow a (server-derived) suggestion's patch to the changes made for the selected kinds
+function patchForKinds(s, kinds) {
+  if (!kinds) return { changes: s.changes, patch: s.patch };
+  const keys = new Set(kinds.flatMap(k => s.kindFields?.[k] || AUDIT_KIND_FIELDS[k] || []));
+  const changes = Object.fromEntries(Object.entries(s.changes || {}).filter(([k]) => keys.has(k)));
+  const { fieldData = {}, ...rest } = s.patch || {};
+  const flags = Object.fromEntries(Object.entries(fieldData).filter(([k]) => k.startsWith('_')));
+  return { changes, patch: { ...rest, fieldData: { ...flags, ...changes } } };
+}
+
+app.post('/audit/fix', asyncHandler(async (req, res) => {
+  const { report: given, full = false, collectionIds, itemIds, kinds, publish = false } = req.body || {};
+  const siteId = req.body?.siteId || WEBFLOW_SITE_ID;
+  assertMutationAllowed(req, { publish: !!publish, siteId });
+  if (kinds !== undefined && (!Array.isArray(kinds) || kinds.some(k => !AUDIT_FIX_KINDS.includes(k)))) {
+    throw new HttpError(400, `kinds must be an array of: ${AUDIT_FIX_KINDS.join(', ')}`);
+  }
+  if (given && !Array.isArray(given.collections)) throw new HttpError(400, 'report.collections[] required');
+  // Every fix is a PATCH, whatever method reached this route
+  const t = req.token;
+  if (t?.methods && !t.methods.includes('PATCH')) {
+    throw new HttpError(403, `Token "${t.name}" may not use PATCH`, { code: 'TOKEN_SCOPE_DENIED', token: t.name, method: 'PATCH' });
+  }
+  // Suggestions always come from a fresh audit; a given report only picks which items to fix
+  const report = await runAudit({
+    full: full === true || full === 'true' || given?.mode === 'full', siteId, allowCollection: (id) => canAccessCollection(req, id)
+  });
+  const picked = given && new Set(given.collections.flatMap(c =>
+    (Array.isArray(c?.patchSuggestions) ? c.patchSuggestions : []).map(s => `${c.id}:${s?.itemId}`)));
+
+  const wantCollections = Array.isArray(collectionIds) ? collectionIds.map(resolveCollectionId) : null;
+  const selected = [];
+  const audited = new Set();
+  for (const c of report.collections) {
+    if (!canAccessCollection(req, c.id)) continue;
+    for (const s of c.patchSuggestions || []) audited.add(`${c.id}:${s.itemId}`);
+    if (wantCollections && !wantCollections.includes(c.id)) continue;
+    for (const s of c.patchSuggestions || []) {
+      if (picked && !picked.has(`${c.id}:${s.itemId}`)) continue;
+      if (Array.isArray(itemIds) && !itemIds.includes(s.itemId)) continue;
+      const sKinds = suggestionKinds(s);
+      if (kinds && !sKinds.some(k => kinds.includes(k))) continue;
+      selected.push({ collectionId: c.id, suggestion: s, kinds: sKinds });
+    }
+  }
+
+  const dryRun = isDryRun(req);
+  const actor = journalActor(req);
+  const results = [];
+  // Items the given report suggests fixing that the fresh audit does not (or that the token cannot reach)
+  for (const key of picked || []) {
+    const [collectionId, itemId] = key.split(':');
+    if (audited.has(key) || (wantCollections && !wantCollections.includes(collectionId)) ||
+      (Array.isArray(itemIds) && !itemIds.includes(itemId))) continue;
+    results.push({
+      collectionId, itemId, kinds: [], changes: {},
+      patched: { ok: false, error: { status: 409, message: 'The current audit has no matching suggestion for this item' } }
+    });
+  }
+  for (const { collectionId, suggestion, kinds: sKinds } of selected) {
+    const { itemId } = suggestion;
+    const { changes, patch } = patchForKinds(suggestion, kinds && sKinds.filter(k => kinds.includes(k)));
+    const result = { collectionId, itemId, kinds: kinds ? sKinds.filter(k => kinds.includes(k)) : sKinds, changes };
+    results.push(result);
+    try {
+      await validateFieldData(collectionId, patch, { partial: true });
+      const before = await snapshotItem(collectionId, itemId);
+      if (!before) throw new HttpError(404, 'Item not found');
+      if (dryRun) {
+        result.diff = diffItem(before, patch);
+        result.patched = { ok: true, dryRun: true };
+        continue;
+      }
+      await journaled(actor, { kind: 'item.update', collectionId, itemId, before, source: 'audit.fix' }, () =>
+        wf('PATCH', `/collections/${collectionId}/items/${itemId}`, { body: patch }));
+      result.patched = { ok: true };
+    } catch (e) {
+      result.patched = { ok: false, error: { status: e.status || 500, message: e.message } };
+    }
+  }
+
+  if (publish && !dryRun) {
+    const byCollection = new Map();
+    for (const r of results.filter(r => r.patched.ok)) {
+      if (!byCollection.has(r.collectionId)) byCollection.set(r.collectionId, []);
+      byCollection.get(r.collectionId).push(r);
+    }
+    for (const [collectionId, rs] of byCollection) {
+      for (let i = 0; i < rs.length; i += BULK_BATCH_SIZE) {
+        const batch = rs.slice(i, i + BULK_BATCH_SIZE);
+        try {
+          await wf('POST', `/collections/${collectionId}/items/publish`, {
+            body: { itemIds: batch.map(r => r.itemId), publishTo: siteId ? [siteId] : undefined }
+          });
+          batch.forEach(r => { r.published = { ok: true }; });
+        } catch (e) {
+          batch.forEach(r => { r.published = { ok: false, error: { status: e.status || 500, message: e.message } }; });
+        }
       }
+    }
+  }
+
+  const summary = {
+    selected: results.length,
+    patched: results.filter(r => r.patched.ok).length,
+    failed: results.filter(r => !r.patched.ok).length,
+    published: results.filter(r => r.published?.ok).length,
+  };
+  res.json({ status: 'ok', dryRun, source: given ? 'report' : 'audit', summary, results });
+}));
+
+// ---- Incoming Webflow webhooks (HMAC-verified; fanned out on /sse as `webhook` events) ----
+const WEBHOOK_SECRETS = String(WEBFLOW_WEBHOOK_SECRET || '').split(',').map(s => s.trim()).filter(Boolean);
+const WEBHOOK_TOLERANCE_MS = Number(process.env.WEBHOOK_TOLERANCE_MS || 5 * 60 * 1000);
+const WEBHOOK_TRIGGERS = [
+  'collection_item_created', 'collection_item_changed', 'collection_item_deleted',
+  'collection_item_unpublished', 'site_publish',
+];
+const WEBHOOK_EVENT_TYPES = {
+  collection_item_created: 'item.created',
+  collection_item_changed: 'item.changed',
+  collection_item_deleted: 'item.deleted',
+  collection_item_published: 'item.published',
+  collection_item_unpublished: 'item.unpublished',
+  site_publish: 'site.published',
+};
+const seenWebhookSignatures = new Map(); // signature -> expiry (ms)
+
+const rawBody = (req) => (Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '');
+
+// Webflow signs `${timestamp}:${rawBody}` with HMAC-SHA256; anything older than the tolerance is refused.
+// Returns the signature; the caller marks it seen once the delivery is accepted.
+function verifyWebhookSignature(req) {
+  if (!WEBHOOK_SECRETS.length) throw new HttpError(401, 'WEBFLOW_WEBHOOK_SECRET is not configured; refusing unsigned webhooks');
+  const timestamp = req.header('x-webflow-timestamp') || '';
+  const signature = req.header('x-webflow-signature') || '';
+  if (!timestamp || !signature) throw new HttpError(401, 'Missing x-webflow-timestamp or x-webflow-signature');
+  const ts = Number(timestamp);
+  if (!Number.isFinite(ts) || Math.abs(Date.now() - ts) > WEBHOOK_TOLERANCE_MS) {
+    throw new HttpError(401, 'Webhook timestamp is outside the allowed window');
+  }
+  const signed = `${timestamp}:${rawBody(req)}`;
+  const valid = WEBHOOK_SECRETS.some(secret =>
+    safeCompare(crypto.createHmac('sha256', secret).update(signed).digest('hex'), signature));
+  if (!valid) throw new HttpError(401, 'Invalid webhook signature');
+
+  const now = Date.now();
+  for (const [sig, expires] of seenWebhookSignatures) if (expires < now) seenWebhookSignatures.delete(sig);
+  if (seenWebhookSignatures.has(signature)) throw new HttpError(409, 'Webhook delivery was already processed');
+  return signature;
+}
+
+const markWebhookSeen = (signature) => seenWebhookSignatures.set(signature, Date.now() + 2 * WEBHOOK_TOLERANCE_MS);
+
+function normalizeWebhook(triggerType, payload = {}) {
+  const items = Array.isArray(payload.items) ? payload.items : null;
+  return {
+    id: crypto.randomUUID(),
+    type: WEBHOOK_EVENT_TYPES[triggerType],
+    triggerType,
+    receivedAt: new Date().toISOString(),
+    siteId: payload.siteId || items?.[0]?.siteId || null,
+    collectionId: payload.collectionId || items?.[0]?.collectionId || null,
+    itemIds: items ? items.map(it => it.id) : (payload.id && triggerType.startsWith('collection_item_') ? [payload.id] : []),
+    data: payload,
+  };
+}
+
+app.post('/webhooks/incoming/:triggerType', (req, res) => {
+  const signature = verifyWebhookSignature(req);
+  let body;
+  try { body = JSON.parse(rawBody(req) || '{}'); } catch { throw new HttpError(400, 'Webhook body is not JSON'); }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) throw new HttpError(400, 'Webhook body must be a JSON object');
+  const { triggerType } = req.params;
+  if (!Object.hasOwn(WEBHOOK_EVENT_TYPES, triggerType)) {
+    throw new HttpError(400, `Unknown webhook triggerType: ${triggerType}`, { allowed: Object.keys(WEBHOOK_EVENT_TYPES) });
+  }
+  if (body.triggerType && body.triggerType !== triggerType) {
+    throw new HttpError(400, `Body triggerType ${body.triggerType} does not match the URL (${triggerType})`);
+  }
+  const event = normalizeWebhook(triggerType, body.payload || {});
+  markWebhookSeen(signature);
+
+  // Whatever changed upstream, cached schema/search data for it is now stale
+  const collectionIds = new Set([event.collectionId, ...(body.payload?.items || []).map(it => it.collectionId)].filter(Boolean));
+  for (const cid of collectionIds) invalidateCollectionCaches(cid);
+  if (event.type === 'site.published') searchIndexes.clear();
+
+  log.info('Webhook received', { triggerType, eventId: event.id, items: event.itemIds.length });
+  broadcast('webhook', event, (viewer) => canAccessSite(viewer, event.siteId) &&
+    [...collectionIds].every(cid => canAccessCollection(viewer, cid)));
+  res.json({ status: 'ok', event: { id: event.id, type: event.type } });
+});
 
-      await wf('DELETE', `/collections/${targetCid}/items/${createdItemId}`);
-      smoke.deleted = { ok: true };
-      smoke.ok = true;
+// Register the webhooks the connector listens for on a site, pointed at PUBLIC_URL (or body.publicUrl)
+app.post('/webhooks/register', asyncHandler(async (req, res) => {
+  const { siteId = WEBFLOW_SITE_ID, triggerTypes = WEBHOOK_TRIGGERS } = req.body || {};
+  const publicUrl = String(req.body?.publicUrl || PUBLIC_URL || '').replace(/\/+$/, '');
+  assertMutationAllowed(req, { siteId, base: 'webhooks' });
+  if (!siteId) throw new HttpError(400, 'siteId required (and WEBFLOW_SITE_ID not set)');
+  if (!publicUrl || !/^https:\/\//.test(publicUrl)) throw new HttpError(400, 'publicUrl (or PUBLIC_URL) must be an https URL');
+  if (!Array.isArray(triggerTypes) || !triggerTypes.length) throw new HttpError(400, 'triggerTypes must be a non-empty array');
+
+  const resp = await wf('GET', `/sites/${siteId}/webhooks`);
+  const existing = Array.isArray(resp?.webhooks) ? resp.webhooks : [];
+  const results = [];
+  for (const triggerType of triggerTypes) {
+    const url = `${publicUrl}/webhooks/incoming/${triggerType}`;
+    const found = existing.find(w => w.triggerType === triggerType && w.url === url);
+    if (found) { results.push({ triggerType, url, action: 'exists', webhookId: found.id }); continue; }
+    if (isDryRun(req)) { results.push({ triggerType, url, action: 'create', dryRun: true }); continue; }
+    try {
+      const created = await wf('POST', `/sites/${siteId}/webhooks`, { body: { triggerType, url } });
+      results.push({ triggerType, url, action: 'created', webhookId: created?.id });
     } catch (e) {
-      smoke.ok = false;
-      smoke.error = { status: e.status || 500, message: e.message, details: e.details };
+      results.push({ triggerType, url, action: 'error', error: { status: e.status || 500, message: e.message } });
     }
+  }
+  res.json({ status: 'ok', siteId, dryRun: isDryRun(req), results, secretConfigured: WEBHOOK_SECRETS.length > 0 });
+}));
 
-    report.smokeTest = smoke;
+// ---- Asset uploads (v2 two-step flow: metadata with MD5 fileHash, then the presigned upload) ----
+const ASSET_INDEX_PATH = process.env.ASSET_INDEX_PATH || path.join(__dirname, 'data', 'assets.json');
+const ASSET_FETCH_TIMEOUT_MS = Number(process.env.ASSET_FETCH_TIMEOUT_MS || 30000);
+
+// siteId:md5 → uploaded asset, so re-uploading the same bytes reuses the existing asset
+let assetIndex = null;
+let assetIndexWrite = Promise.resolve();
+
+async function loadAssetIndex() {
+  if (assetIndex) return assetIndex;
+  try {
+    assetIndex = JSON.parse(await fs.promises.readFile(ASSET_INDEX_PATH, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+    assetIndex = {};
   }
+  return assetIndex;
+}
 
-  report.finishedAt = new Date().toISOString();
-  res.json(report);
+function saveAssetIndex() {
+  assetIndexWrite = assetIndexWrite.then(async () => {
+    await fs.promises.mkdir(path.dirname(ASSET_INDEX_PATH), { recursive: true });
+    const tmp = `${ASSET_INDEX_PATH}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(assetIndex, null, 2));
+    await fs.promises.rename(tmp, ASSET_INDEX_PATH);
+  }).catch((e) => log.error('Failed to persist asset index', { error: e.message }));
+  return assetIndexWrite;
+}
+
+// The indexed asset, if it still exists on Webflow
+async function findAssetByHash(siteId, fileHash) {
+  const index = await loadAssetIndex();
+  const key = `${siteId}:${fileHash}`;
+  if (!index[key]) return null;
+  try {
+    return await wf('GET', `/assets/${index[key].id}`);
+  } catch (e) {
+    if (e.status !== 404) throw e;
+    delete index[key];
+    await saveAssetIndex();
+    return null;
+  }
+}
+
+/**
+ * Upload `buffer` as a site asset. An asset this connector already uploaded with the same MD5 is
+ * reused (its alt text is updated if `altText` differs). With dryRun nothing is written.
+ */
+async function uploadAsset({ siteId, buffer, fileName, contentType, folderId, altText, dryRun = false }) {
+  if (!buffer?.length) throw new HttpError(400, 'File is empty');
+  const fileHash = crypto.createHash('md5').update(buffer).digest('hex');
+  let existing = await findAssetByHash(siteId, fileHash);
+  if (dryRun) {
+    return { dryRun: true, fileName, fileHash, size: buffer.length, wouldReuse: existing?.id ?? null };
+  }
+  if (existing) {
+    if (altText !== undefined && altText !== existing.altText) {
+      existing = { ...existing, ...await wf('PATCH', `/assets/${existing.id}`, { body: { altText } }) };
+    }
+    return { asset: existing, deduplicated: true, fileHash };
+  }
+
+  const meta = await wf('POST', `/sites/${siteId}/assets`, {
+    body: { fileName, fileHash, parentFolder: folderId || undefined }
+  });
+  if (!meta?.uploadUrl) throw new HttpError(502, 'Webflow did not return an upload URL', { response: meta });
+  // Presigned POST: every uploadDetails field goes first, the file last
+  const form = new FormData();
+  for (const [k, v] of Object.entries(meta.uploadDetails || {})) form.append(k, v);
+  form.append('file', new Blob([buffer], { type: contentType || meta.contentType || 'application/octet-stream' }), fileName);
+  const upload = await fetch(meta.uploadUrl, { method: 'POST', body: form });
+  if (!upload.ok) {
+    throw new HttpError(502, `Asset storage upload failed (${upload.status})`, {
+      assetId: meta.id, response: (await upload.text()).slice(0, 500)
+    });
+  }
+
+  const { uploadUrl, uploadDetails, ...asset } = meta;
+  if (altText !== undefined) Object.assign(asset, await wf('PATCH', `/assets/${meta.id}`, { body: { altText } }));
+  const index = await loadAssetIndex();
+  index[`${siteId}:${fileHash}`] = { id: asset.id, fileName, hostedUrl: asset.hostedUrl, uploadedAt: new Date().toISOString() };
+  await saveAssetIndex();
+  return { asset, deduplicated: false, fileHash };
+}
+
+const parseByteSize = (v) => {
+  const m = String(v).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/);
+  if (!m) throw new Error(`Invalid byte size: ${v}`);
+  return Math.floor(Number(m[1]) * 1024 ** ['b', 'kb', 'mb', 'gb'].indexOf(m[2] || 'b'));
+};
+
+const sendUpload = (res, result) =>
+  res.status(result.deduplicated || result.dryRun ? 200 : 201).json({ status: 'ok', ...result });
+
+app.post('/assets/upload-base64', asyncHandler(async (req, res) => {
+  const { siteId = WEBFLOW_SITE_ID, folderId, fileName, fileBase64, contentType, alt } = req.body || {};
+  assertMutationAllowed(req, { siteId, base: 'assets' });
+  if (!siteId) throw new HttpError(400, 'siteId required');
+  if (!fileName || !fileBase64) throw new HttpError(400, 'fileName and fileBase64 required');
+  const buffer = Buffer.from(String(fileBase64).replace(/^data:[^,]*,/, ''), 'base64');
+  sendUpload(res, await uploadAsset({ siteId, buffer, fileName, contentType, folderId, altText: alt, dryRun: isDryRun(req) }));
+}));
+
+// Raw body upload: POST /assets/upload?fileName=&siteId=&folderId=&alt= with the file bytes as the body
+// (parsed by express.raw, mounted ahead of the global JSON parser)
+app.post('/assets/upload', asyncHandler(async (req, res) => {
+  const siteId = req.query.siteId || WEBFLOW_SITE_ID;
+  const fileName = req.query.fileName || req.header('x-file-name');
+  assertMutationAllowed(req, { siteId, base: 'assets' });
+  if (!siteId) throw new HttpError(400, 'siteId required');
+  if (!fileName) throw new HttpError(400, 'fileName (query) or x-file-name header required');
+  if (!Buffer.isBuffer(req.body)) throw new HttpError(400, 'Send the file bytes as the request body');
+  sendUpload(res, await uploadAsset({
+    siteId, buffer: req.body, fileName, contentType: req.header('content-type'),
+    folderId: req.query.folderId, altText: req.query.alt, dryRun: isDryRun(req)
+  }));
+}));
+
+// Loopback, private, link-local, CGNAT, multicast/reserved and IPv4-mapped ranges
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) NON_PUBLIC_ADDRESSES.addSubnet(prefix, bits, 'ipv4');
+for (const [prefix, bits] of [['::', 127], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  NON_PUBLIC_ADDRESSES.addSubnet(prefix, bits, 'ipv6');
+}
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  return family !== 0 && !NON_PUBLIC_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// Only http(s) URLs; IP literals are checked here, host names when the download resolves them
+function assertFetchableUrl(raw) {
+  let url;
+  try { url = new URL(raw); } catch { throw new HttpError(400, 'url must be an absolute URL'); }
+  if (!['http:', 'https:'].includes(url.protocol)) throw new HttpError(400, 'url must be http or https');
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !isPublicAddress(host)) throw new HttpError(400, 'url must point to a public host');
+  return url;
+}
+
+// dns.lookup for download sockets: every address the name resolves to must be public, and the
+// socket connects to one of those checked addresses, so the connector cannot reach its own network
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { family: options.family, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!addresses.length || !addresses.every(a => isPublicAddress(a.address))) {
+      return callback(new HttpError(400, `url host ${hostname} does not resolve to a public address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// One GET through publicLookup; resolves with the response stream (redirects are not followed)
+function fetchPublic(url) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.get(url, { lookup: publicLookup, timeout: ASSET_FETCH_TIMEOUT_MS }, resolve);
+    req.on('timeout', () => req.destroy(new Error(`no response within ${ASSET_FETCH_TIMEOUT_MS}ms`)));
+    req.on('error', reject);
+  });
+}
+
+const fileNameFromResponse = (resp, url) => {
+  const cd = resp.headers['content-disposition'] || '';
+  const m = cd.match(/filename\*=UTF-8''([^;]+)/i) || cd.match(/filename="?([^";]+)"?/i);
+  if (m) { try { return decodeURIComponent(m[1]); } catch { return m[1]; } }
+  return fileNameFromUrl(url.pathname) || 'download';
+};
+
+// Body: { url, siteId?, folderId?, fileName?, alt? }
+app.post('/assets/upload-from-url', asyncHandler(async (req, res) => {
+  const { url: rawUrl, siteId = WEBFLOW_SITE_ID, folderId, fileName, alt } = req.body || {};
+  assertMutationAllowed(req, { siteId, base: 'assets' });
+  if (!siteId) throw new HttpError(400, 'siteId required');
+  if (!rawUrl) throw new HttpError(400, 'url required');
+  let url = assertFetchableUrl(rawUrl);
+
+  const limit = parseByteSize(ASSET_UPLOAD_LIMIT);
+  // Redirects are followed by hand so every hop passes the same address check
+  let resp;
+  for (let hops = 0; ; hops++) {
+    try {
+      resp = await fetchPublic(url);
+    } catch (e) {
+      if (e instanceof HttpError) throw e;
+      throw new HttpError(502, `Could not download ${url.href}: ${e.message}`);
+    }
+    const { location } = resp.headers;
+    if (resp.statusCode < 300 || resp.statusCode >= 400 || !location) break;
+    resp.resume();
+    if (hops >= 5) throw new HttpError(502, `Too many redirects downloading ${rawUrl}`);
+    url = assertFetchableUrl(new URL(location, url).href);
+  }
+  const chunks = [];
+  try {
+    if (resp.statusCode < 200 || resp.statusCode >= 300) throw new HttpError(502, `Download of ${url.href} failed with ${resp.statusCode}`);
+    if (Number(resp.headers['content-length']) > limit) throw new HttpError(413, `File is larger than ${ASSET_UPLOAD_LIMIT}`);
+    let size = 0;
+    for await (const chunk of resp) {
+      size += chunk.length;
+      if (size > limit) throw new HttpError(413, `File is larger than ${ASSET_UPLOAD_LIMIT}`);
+      chunks.push(chunk);
+    }
+  } finally {
+    resp.destroy();
+  }
+  const result = await uploadAsset({
+    siteId,
+    buffer: Buffer.concat(chunks),
+    fileName: fileName || fileNameFromResponse(resp, url),
+    contentType: resp.headers['content-type'] || undefined,
+    folderId,
+    altText: alt,
+    dryRun: isDryRun(req),
+  });
+  sendUpload(res, { ...result, sourceUrl: url.href });
 }));
 
 // ---- New: Generic pass-through for Webflow Data API (allow-listed bases) ----
-const PASSTHRU_BASES = [
-  'sites', 'pages', 'components',
-  'collections', // extends your custom routes
-  'forms', 'form-submissions',
-  'custom-code', 'assets', 'asset-folders',
-  'comments', 'users', 'access-groups',
-  'products', 'orders', 'inventory', 'settings',
-  'webhooks',
-  'workspace', 'redirects', 'robots', 'well-known'
-];
 for (const base of PASSTHRU_BASES) {
   const handler = asyncHandler(async (req, res) => {
-    assertMutationAllowed(req);
     const suffix = req.params[0] ? `/${req.params[0]}` : '';
-    const data = await wf(req.method, `/${base}${suffix}`, {
-      query: req.query,
-      body: (req.body && Object.keys(req.body).length) ? req.body : undefined
-    });
+    const upstreamPath = `/${base}${suffix}`;
+    const [, first] = upstreamPath.split('/').slice(1);
+    const scope = {
+      base,
+      collectionId: base === 'collections' ? first : undefined,
+      siteId: base === 'sites' ? first : undefined,
+      publish: upstreamPath.endsWith('/publish'),
+    };
+    assertScope(req, scope);
+    await assertCollectionSite(req, scope.collectionId);
+    assertMutationAllowed(req, scope);
+    const { dryRun: _dryRun, ...query } = req.query;
+    const body = (req.body && Object.keys(req.body).length) ? req.body : undefined;
+    const call = () => wf(req.method, upstreamPath, { query, body });
+    let data;
+    if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+      data = await call();
+    } else if (isDryRun(req)) {
+      let current = null;
+      if (req.method !== 'POST') {
+        try { current = await wf('GET', upstreamPath, { query }); } catch (e) {
+          if (e.status !== 404) throw e;
+        }
+      }
+      const isItem = body?.fieldData || current?.fieldData;
+      const diff = isItem
+        ? diffItem(current, req.method === 'DELETE' ? null : body, { partial: req.method !== 'PUT' })
+        : diffFields(current, req.method === 'DELETE' ? {} : body, { partial: req.method === 'PATCH' });
+      return res.json({
+        status: 'ok', dryRun: true, base, method: req.method, path: upstreamPath, diff, current,
+        wouldSend: { method: req.method, path: upstreamPath, query, body: body ?? null }
+      });
+    } else {
+      const itemMatch = upstreamPath.match(ITEM_PATH_RE);
+      const meta = { kind: 'passthrough', method: req.method, path: upstreamPath, before: null };
+      if (itemMatch && ['PATCH', 'DELETE'].includes(req.method)) {
+        const [, collectionId, itemId] = itemMatch;
+        Object.assign(meta, { kind: req.method === 'PATCH' ? 'item.update' : 'item.delete', collectionId, itemId });
+        meta.before = await snapshotItem(collectionId, itemId);
+      } else if (['PUT', 'PATCH', 'DELETE'].includes(req.method)) {
+        try { meta.before = await wf('GET', upstreamPath); } catch (e) {
+          meta.beforeError = { status: e.status || 500, message: e.message };
+        }
+      }
+      data = await journaled(journalActor(req), meta, call);
+    }
     res.json({ status: 'ok', base, data });
   });
   app.all(`/${base}`, handler);
   app.all(`/${base}/*`, handler);
 }
 
-// ---- New: Asset upload helper (Base64 → multipart) ----
-app.post('/assets/upload-base64', asyncHandler(async (req, res) => {
-  assertMutationAllowed(req);
-  const { siteId = WEBFLOW_SITE_ID, folderId, fileName, fileBase64 } = req.body || {};
-  if (!siteId) throw new HttpError(400, 'siteId required');
-  if (!fileName || !fileBase64) throw new HttpError(400, 'fileName and fileBase64 required');
-  const buf = Buffer.from(fileBase64, 'base64');
-  const form = new FormData();
-  const blob = new Blob([buf]);
-  form.append('file', blob, fileName);
-  if (folderId) form.append('folderId', folderId);
-  const data = await wf('POST', `/sites/${siteId}/assets`, { body: form });
-  res.status(201).json({ status: 'ok', asset: data });
+// ---- MCP: JSON-RPC tool server (legacy HTTP+SSE transport on /sse) ----
+const SERVER_VERSION = require('./package.json').version;
+const MCP_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+class RpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.code = code;
+    this.data = data;
+  }
+}
+
+const enc = (v) => encodeURIComponent(String(v ?? ''));
+
+// Tool catalog. Each tool is served by re-entering this server's own REST routes,
+// so auth, mutation guards and validation apply exactly as they do for REST clients.
+const collectionArg = { type: 'string', description: 'Collection id or alias (e.g. "articles", "resources")' };
+const contentFormatArg = { type: 'string', enum: ['html', 'markdown'], description: 'markdown converts RichText fields to/from Markdown' };
+const dryRunArg = { type: 'boolean', description: 'Return the field-level diff of what would change without writing' };
+const localeArg = { type: 'string', description: 'CMS locale tag (e.g. "fr") or id; defaults to the primary locale' };
+const itemPayloadProps = {
+  fieldData: { type: 'object', description: 'Webflow fieldData keyed by field slug', additionalProperties: true },
+  isDraft: { type: 'boolean' },
+  isArchived: { type: 'boolean' },
+};
+const MCP_TOOLS = [
+  {
+    name: 'list_collections',
+    description: 'List CMS collections. Safe mode lists the configured aliases; full=true lists every collection on the site.',
+    inputSchema: {
+      type: 'object',
+      properties: { full: { type: 'boolean' }, siteId: { type: 'string' } },
+    },
+    route: (a) => ({ method: 'GET', path: '/collections', query: { full: a.full, siteId: a.siteId } }),
+  },
+  {
+    name: 'get_collection',
+    description: 'Get a collection, including its field definitions.',
+    inputSchema: { type: 'object', properties: { collection: collectionArg }, required: ['collection'] },
+    route: (a) => ({ method: 'GET', path: `/collections/${enc(a.collection)}` }),
+  },
+  {
+    name: 'list_items',
+    description: 'List items in a collection (max 100 per page, or all=true to page through everything).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        collection: collectionArg,
+        limit: { type: 'integer', minimum: 1, maximum: 100 },
+        offset: { type: 'integer', minimum: 0 },
+        all: { type: 'boolean' },
+        contentFormat: contentFormatArg,
+        locale: localeArg,
+      },
+      required: ['collection'],
+    },
+    route: (a) => ({
+      method: 'GET',
+      path: `/collections/${enc(a.collection)}/items`,
+      query: { limit: a.limit, offset: a.offset, all: a.all, contentFormat: a.contentFormat, locale: a.locale },
+    }),
+  },
+  {
+    name: 'get_item',
+    description: 'Get a single collection item by id.',
+    inputSchema: {
+      type: 'object',
+      properties: { collection: collectionArg, itemId: { type: 'string' }, contentFormat: contentFormatArg, locale: localeArg },
+      required: ['collection', 'itemId'],
+    },
+    route: (a) => ({
+      method: 'GET',
+      path: `/collections/${enc(a.collection)}/items/${enc(a.itemId)}`,
+      query: { contentFormat: a.contentFormat, locale: a.locale },
+    }),
+  },
+  {
+    name: 'get_item_locales',
+    description: 'Get a collection item in every site locale, with each field\'s values side by side.',
+    inputSchema: {
+      type: 'object',
+      properties: { collection: collectionArg, itemId: { type: 'string' }, contentFormat: contentFormatArg },
+      required: ['collection', 'itemId'],
+    },
+    route: (a) => ({
+      method: 'GET',
+      path: `/collections/${enc(a.collection)}/items/${enc(a.itemId)}/locales`,
+      query: { contentFormat: a.contentFormat },
+    }),
+  },
+  {
+    name: 'search_items',
+    description: 'Ranked full-text search over PlainText/RichText fields of one or more collections (local index).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        q: { type: 'string' },
+        collections: { type: 'array', items: { type: 'string' }, description: 'Collection ids or aliases; defaults to all aliased collections' },
+        limit: { type: 'integer', minimum: 1, maximum: 100 },
+      },
+      required: ['q'],
+    },
+    route: (a) => ({
+      method: 'GET',
+      path: '/search',
+      query: { q: a.q, collections: Array.isArray(a.collections) ? a.collections.join(',') : a.collections, limit: a.limit },
+    }),
+  },
+  {
+    name: 'create_item',
+    description: 'Create a collection item from fieldData.',
+    inputSchema: {
+      type: 'object',
+      properties: { collection: collectionArg, ...itemPayloadProps, contentFormat: contentFormatArg, locale: localeArg, dryRun: dryRunArg },
+      required: ['collection', 'fieldData'],
+    },
+    route: (a) => ({
+      method: 'POST',
+      path: `/collections/${enc(a.collection)}/items`,
+      query: { dryRun: a.dryRun, contentFormat: a.contentFormat, locale: a.locale },
+      body: { fieldData: a.fieldData, isDraft: a.isDraft, isArchived: a.isArchived },
+    }),
+  },
+  {
+    name: 'update_item',
+    description: 'Update (PATCH) a collection item. Only the given fieldData keys change.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        collection: collectionArg, itemId: { type: 'string' }, ...itemPayloadProps, contentFormat: contentFormatArg,
+        locale: localeArg, dryRun: dryRunArg
+      },
+      required: ['collection', 'itemId', 'fieldData'],
+    },
+    route: (a) => ({
+      method: 'PATCH',
+      path: `/collections/${enc(a.collection)}/items/${enc(a.itemId)}`,
+      query: { dryRun: a.dryRun, contentFormat: a.contentFormat, locale: a.locale },
+      body: { fieldData: a.fieldData, isDraft: a.isDraft, isArchived: a.isArchived },
+    }),
+  },
+  {
+    name: 'delete_item',
+    description: 'Delete a collection item.',
+    inputSchema: {
+      type: 'object',
+      properties: { collection: collectionArg, itemId: { type: 'string' }, dryRun: dryRunArg },
+      required: ['collection', 'itemId'],
+    },
+    route: (a) => ({ method: 'DELETE', path: `/collections/${enc(a.collection)}/items/${enc(a.itemId)}`, query: { dryRun: a.dryRun } }),
+  },
+  {
+    name: 'publish_items',
+    description: 'Publish collection items to the site.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        collection: collectionArg,
+        itemIds: { type: 'array', items: { type: 'string' }, minItems: 1 },
+        siteId: { type: 'string' },
+        publishAt: { type: 'string', format: 'date-time', description: 'Schedule instead of publishing now' },
+        unpublishAt: { type: 'string', format: 'date-time' },
+        archiveAt: { type: 'string', format: 'date-time' },
+        locale: { type: 'string', description: 'Publish only this CMS locale (tag or id); defaults to every locale' },
+        dryRun: dryRunArg,
+      },
+      required: ['collection', 'itemIds'],
+    },
+    route: (a) => ({
+      method: 'POST',
+      path: `/collections/${enc(a.collection)}/items/publish`,
+      query: { dryRun: a.dryRun },
+      body: {
+        itemIds: a.itemIds, siteId: a.siteId, publishAt: a.publishAt, unpublishAt: a.unpublishAt, archiveAt: a.archiveAt, locale: a.locale
+      },
+    }),
+  },
+  {
+    name: 'run_audit',
+    long: true,
+    description: 'Audit collections for missing slugs/names, drafts, archived items and duplicate slugs, with patch suggestions.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        full: { type: 'boolean' },
+        siteId: { type: 'string' },
+        doSmoke: { type: 'boolean', description: 'Run the create/update/delete smoke test (mutating). Defaults to false here.' },
+        publish: { type: 'boolean' },
+      },
+    },
+    route: (a) => ({
+      method: 'GET',
+      path: '/audit',
+      query: { full: a.full, siteId: a.siteId, doSmoke: a.doSmoke ?? false, publish: a.publish },
+    }),
+  },
+  {
+    name: 'upload_asset',
+    description: 'Upload a site asset from base64 data or by downloading a URL. Identical files are reused.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        fileName: { type: 'string' },
+        fileBase64: { type: 'string', description: 'File contents; omit when url is given' },
+        url: { type: 'string', description: 'Download the file from this URL instead' },
+        siteId: { type: 'string' },
+        folderId: { type: 'string' },
+        alt: { type: 'string', description: 'Alt text' },
+      },
+    },
+    route: (a) => (a.url ? {
+      method: 'POST',
+      path: '/assets/upload-from-url',
+      body: { url: a.url, fileName: a.fileName, siteId: a.siteId, folderId: a.folderId, alt: a.alt },
+    } : {
+      method: 'POST',
+      path: '/assets/upload-base64',
+      body: { fileName: a.fileName, fileBase64: a.fileBase64, siteId: a.siteId, folderId: a.folderId, alt: a.alt },
+    }),
+  },
+];
+
+// Headers carried from the MCP request onto the internal route call
+const MCP_FORWARD_HEADERS = ['x-api-token', 'x-allow-destructive'];
+
+async function callRoute(ctx, { method, path, query, body }) {
+  if (!ctx.port) throw new HttpError(500, 'Cannot resolve local port for tool call');
+  const url = new URL(`http://127.0.0.1:${ctx.port}${path}`);
+  for (const [k, v] of Object.entries(query || {})) {
+    if (v !== undefined && v !== null) url.searchParams.append(k, String(v));
+  }
+  const headers = { ...ctx.headers };
+  if (body) headers['Content-Type'] = 'application/json';
+  // Tool calls loop back through the routes; keep them under the MCP request's id
+  const requestId = requestContext.getStore()?.requestId;
+  if (requestId) headers['x-request-id'] = requestId;
+  const res = await fetch(url, { method, headers, body: body ? JSON.stringify(body) : undefined });
+  const text = await res.text();
+  let data = null;
+  try { data = text ? JSON.parse(text) : null; } catch { data = { raw: text }; }
+  return { ok: res.ok, status: res.status, data };
+}
+
+async function callTool(name, args, ctx) {
+  const tool = MCP_TOOLS.find(t => t.name === name);
+  if (!tool) throw new RpcError(-32602, `Unknown tool: ${name}`);
+  if (args !== undefined && (typeof args !== 'object' || args === null || Array.isArray(args))) {
+    throw new RpcError(-32602, 'Tool arguments must be an object');
+  }
+  const a = args || {};
+  const missing = (tool.inputSchema.required || []).filter(k => a[k] === undefined || a[k] === null || a[k] === '');
+  if (missing.length) {
+    return {
+      content: [{ type: 'text', text: `Missing required argument(s): ${missing.join(', ')}` }],
+      isError: true
+    };
+  }
+  const result = await callRoute(ctx, tool.route(a));
+  return {
+    content: [{ type: 'text', text: JSON.stringify(result.data, null, 2) }],
+    isError: !result.ok
+  };
+}
+
+async function dispatchRpc(msg, ctx) {
+  const { method, params } = msg;
+  switch (method) {
+    case 'initialize': {
+      const requested = params?.protocolVersion;
+      return {
+        protocolVersion: MCP_PROTOCOL_VERSIONS.includes(requested) ? requested : MCP_PROTOCOL_VERSIONS[0],
+        capabilities: { tools: { listChanged: false } },
+        serverInfo: { name: SERVICE_NAME, version: SERVER_VERSION },
+        instructions: 'Manage Webflow CMS collections and items. Mutating tools honor the server mutation guard.'
+      };
+    }
+    case 'ping':
+      return {};
+    case 'tools/list':
+      return { tools: MCP_TOOLS.map(({ name, description, inputSchema }) => ({ name, description, inputSchema })) };
+    case 'tools/call':
+      if (!params || typeof params.name !== 'string') throw new RpcError(-32602, 'params.name required');
+      return callTool(params.name, params.arguments, ctx);
+    default:
+      throw new RpcError(-32601, `Method not found: ${method}`);
+  }
+}
+
+/**
+ * Handle one JSON-RPC message or batch. Resolves to the response(s) to send back,
+ * or null when the input held only notifications/responses.
+ */
+async function handleRpc(payload, ctx) {
+  if (Array.isArray(payload)) {
+    if (!payload.length) return { jsonrpc: '2.0', id: null, error: { code: -32600, message: 'Empty batch' } };
+    const out = (await Promise.all(payload.map(m => handleRpc(m, ctx)))).filter(Boolean);
+    return out.length ? out : null;
+  }
+  if (!payload || typeof payload !== 'object' || payload.jsonrpc !== '2.0') {
+    return { jsonrpc: '2.0', id: null, error: { code: -32600, message: 'Invalid Request' } };
+  }
+  // Notifications (e.g. notifications/initialized) and client responses get no reply
+  if (payload.id === undefined || payload.id === null) return null;
+  if (typeof payload.method !== 'string') return null;
+  try {
+    const result = await dispatchRpc(payload, ctx);
+    return { jsonrpc: '2.0', id: payload.id, result };
+  } catch (e) {
+    const error = e instanceof RpcError
+      ? { code: e.code, message: e.message, data: e.data }
+      : { code: -32603, message: e.message || 'Internal error' };
+    return { jsonrpc: '2.0', id: payload.id, error };
+  }
+}
+
+const rpcContext = (req) => ({
+  port: req.socket.localPort,
+  headers: Object.fromEntries(
+    MCP_FORWARD_HEADERS.filter(h => req.header(h)).map(h => [h, req.header(h)])
+  ),
+});
+
+// SSE clients; sessions with an id can receive JSON-RPC responses via /messages
+const sseSessions = new Map(); // sessionId -> { send, viewer: { token } }
+
+// canSee(viewer) decides per session, with the same token checks the matching REST routes use
+function broadcast(event, data, canSee = () => true) {
+  for (const s of sseSessions.values()) if (canSee(s.viewer)) s.send(event, data);
+}
+
+app.get('/sse', (req, res) => {
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders?.();
+  const sessionId = crypto.randomUUID();
+  const send = (event, data) => {
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+  };
+  sseSessions.set(sessionId, { send, viewer: { token: req.token } });
+  send('endpoint', `/messages?sessionId=${sessionId}`);
+  send('hello', { service: SERVICE_NAME, time: new Date().toISOString(), sessionId });
+  const interval = setInterval(() => send('heartbeat', { ts: Date.now() }), 25000);
+  req.on('close', () => {
+    clearInterval(interval);
+    sseSessions.delete(sessionId);
+  });
+});
+
+// JSON-RPC messages for an /sse session; replies are delivered on the stream.
+// Only the token that opened the stream may post to it; other tokens get the same 404.
+app.post('/messages', asyncHandler(async (req, res) => {
+  const session = sseSessions.get(String(req.query.sessionId || ''));
+  if (!session || session.viewer.token !== req.token) throw new HttpError(404, 'Unknown or expired sessionId');
+  res.status(202).json({ status: 'accepted' });
+  const reply = await handleRpc(req.body, rpcContext(req));
+  if (reply) session.send('message', reply);
+}));
+
+// ---- MCP: Streamable HTTP transport on /mcp ----
+const MCP_SESSION_TTL_MS = Number(process.env.MCP_SESSION_TTL_MS || 30 * 60 * 1000);
+const mcpSessions = new Map();
+
+const isRpcRequest = (m) => m && typeof m === 'object' && typeof m.method === 'string' && m.id !== undefined && m.id !== null;
+
+// A session belongs to the token that initialized it; other tokens get the same 404 as an unknown id
+function touchMcpSession(req) {
+  const id = req.header('mcp-session-id');
+  if (!id) throw new HttpError(400, 'Missing Mcp-Session-Id header');
+  const session = mcpSessions.get(id);
+  if (session && Date.now() - session.lastSeen > MCP_SESSION_TTL_MS) mcpSessions.delete(id);
+  if (!mcpSessions.has(id) || session.token !== req.token) {
+    throw new HttpError(404, 'Unknown or expired MCP session');
+  }
+  const version = req.header('mcp-protocol-version');
+  if (version && !MCP_PROTOCOL_VERSIONS.includes(version)) {
+    throw new HttpError(400, `Unsupported MCP-Protocol-Version: ${version}`);
+  }
+  session.lastSeen = Date.now();
+  return session;
+}
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [id, s] of mcpSessions) {
+    if (now - s.lastSeen > MCP_SESSION_TTL_MS) mcpSessions.delete(id);
+  }
+}, 60000).unref();
+
+app.post('/mcp', asyncHandler(async (req, res) => {
+  const payload = req.body;
+  const messages = Array.isArray(payload) ? payload : [payload];
+  const init = messages.find(m => m?.method === 'initialize');
+
+  let session;
+  if (init) {
+    if (messages.length > 1) throw new HttpError(400, 'initialize must not be batched');
+    session = { id: crypto.randomUUID(), token: req.token, createdAt: Date.now(), lastSeen: Date.now() };
+  } else {
+    session = touchMcpSession(req);
+  }
+
+  if (!messages.some(isRpcRequest)) {
+    await handleRpc(payload, rpcContext(req));
+    return res.status(202).end();
+  }
+
+  const longRunning = messages.some(m =>
+    m?.method === 'tools/call' && MCP_TOOLS.find(t => t.name === m.params?.name)?.long);
+  const wantsStream = (req.header('accept') || '').includes('text/event-stream');
+
+  if (!(longRunning && wantsStream)) {
+    const reply = await handleRpc(payload, rpcContext(req));
+    if (init && !reply?.error) {
+      session.protocolVersion = reply.result.protocolVersion;
+      mcpSessions.set(session.id, session);
+      res.setHeader('Mcp-Session-Id', session.id);
+    }
+    return res.json(reply);
+  }
+
+  // Long tools: answer on an event stream with keepalives so proxies don't cut the request
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders?.();
+  const keepalive = setInterval(() => res.write(': keepalive\n\n'), 15000);
+  try {
+    const reply = await handleRpc(payload, rpcContext(req));
+    res.write(`event: message\ndata: ${JSON.stringify(reply)}\n\n`);
+  } finally {
+    clearInterval(keepalive);
+    res.end();
+  }
 }));
 
+// No server-initiated stream on /mcp; server events go out on /sse
+app.get('/mcp', (req, res) => {
+  res.setHeader('Allow', 'POST, DELETE');
+  res.status(405).json({ status: 'error', message: 'Method Not Allowed' });
+});
+
+app.delete('/mcp', (req, res) => {
+  const session = touchMcpSession(req);
+  mcpSessions.delete(session.id);
+  res.status(204).end();
+});
+
 // ---- New: Boot-time scope sanity check ----
 async function checkScopesOnBoot() {
   const checks = [
@@ -497,14 +4298,14 @@ async function checkScopesOnBoot() {
     try {
       await wf('GET', path);
     } catch (e) {
-      console.warn(`[${SERVICE_NAME}] Scope check failed for ${path} (${e.status}) — add ${scope}`);
+      log.warn('Scope check failed', { path, status: e.status, scope });
     }
   }
 }
 
 // ---- Not found ----
 app.use((req, res) => {
-  res.status(404).json({ status: 'error', message: 'Not Found', details: { path: req.path } });
+  res.status(404).json({ status: 'error', message: 'Not Found', details: { path: req.path }, requestId: req.id });
 });
 
 // ---- Error handler ----
@@ -512,18 +4313,23 @@ app.use((err, req, res, _next) => {
   const status = err instanceof HttpError ? err.status : (err.status || 500);
   const message = err.message || 'Internal Server Error';
   const details = (err instanceof HttpError) ? err.details : (err.details || undefined);
-  console.error(
-    `[${SERVICE_NAME}] Error ${status} on ${req.method} ${req.path}: ${message}`,
-    details ? JSON.stringify(details) : ''
-  );
-  res.status(status).json({ status: 'error', message, details });
+  // The context is gone when a body parser fails, so pass the id explicitly
+  log[status >= 500 ? 'error' : 'warn']('Request failed', {
+    requestId: req.id, status, method: req.method, path: req.path, token: tokenName(req), message, details,
+  });
+  res.status(status).json({ status: 'error', message, details, requestId: req.id });
 });
 
 // ---- Start ----
 if (require.main === module) {
-  checkScopesOnBoot().catch(() => {});
+  if (WF_SCOPE_CHECK === 'true') checkScopesOnBoot().catch(() => {});
+  if (aliasDiscovery.enabled) {
+    discoverCollectionAliases();
+    setInterval(discoverCollectionAliases, COLLECTION_ALIAS_REFRESH_MS).unref();
+  }
+  startScheduleRunner();
   app.listen(PORT, () => {
-    console.log(`[${SERVICE_NAME}] listening on ${PORT}`);
+    log.info('Listening', { port: Number(PORT) });
   });
 }
 module.exports = app;
@@ -0,0 +1,510 @@
+'use strict';
+
+/**
+ * In-process mock of the Webflow v2 Data API endpoints this connector uses
+ * - Sites, collections, items (paged, bulk create/update), publish/unpublish, assets (two-step upload), webhooks
+ * - Localized items: ?cmsLocaleId / body cmsLocaleId select a secondary locale; untranslated locales read as the primary
+ * - In-memory state seeded from a fixture; reset() restores it
+ * - Fault injection: queued 429s / errors per method + path
+ * - Record (proxy to the real API and save fixtures) and replay (serve saved fixtures first)
+ *
+ * Standalone: node mock/webflow.js [--port 4010] [--seed file.json] [--record dir] [--replay dir]
+ * then run the connector with WF_API_BASE=http://127.0.0.1:4010/v2
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SEED = require('./fixtures/seed.json');
+const RECORD_TARGET = 'https://api.webflow.com/v2';
+const RECORDED_HEADERS = ['content-type', 'retry-after', 'x-ratelimit-limit', 'x-ratelimit-remaining'];
+
+const newId = () => crypto.randomBytes(12).toString('hex');
+const now = () => new Date().toISOString();
+
+// Webflow-style error body
+const fail = (res, status, code, message) => res.status(status).json({ code, message });
+
+// ---- Fixtures (record / replay) ----
+function fixtureKey({ method, path: p, query, body }) {
+  const q = new URLSearchParams(Object.entries(query || {}).sort(([a], [b]) => a.localeCompare(b))).toString();
+  const hash = crypto.createHash('sha1')
+    .update(`${method} ${p}?${q}\n${body === undefined ? '' : JSON.stringify(body)}`).digest('hex').slice(0, 10);
+  const name = `${method}${p}`.replace(/[^a-z0-9]+/gi, '_').replace(/_+$/, '');
+  return `${name}-${hash}.json`;
+}
+
+function readFixture(dir, req) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, fixtureKey(req)), 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+function writeFixture(dir, req, response) {
+  fs.mkdirSync(dir, { recursive: true });
+  const fixture = { request: { method: req.method, path: req.path, query: req.query, body: req.body }, response };
+  fs.writeFileSync(path.join(dir, fixtureKey(req)), JSON.stringify(fixture, null, 2));
+}
+
+// ---- State ----
+function buildState(seed) {
+  const state = {
+    sites: new Map(), collections: new Map(), items: new Map(), assets: new Map(), webhooks: new Map(),
+    localized: new Map(), // `${itemId}:${cmsLocaleId}` -> secondary-locale variant { fieldData, isDraft, ... }
+  };
+  for (const site of seed.sites || []) {
+    const { collections = [], assets = [], webhooks = [], ...info } = site;
+    state.sites.set(info.id, { createdOn: now(), lastPublished: null, customDomains: [], ...info });
+    for (const c of collections) {
+      const { items = [], ...schema } = c;
+      state.collections.set(schema.id, { siteId: info.id, createdOn: now(), lastUpdated: now(), fields: [], ...schema });
+      state.items.set(schema.id, items.map(({ localized = {}, ...it }) => {
+        const base = {
+          isDraft: false, isArchived: false, createdOn: now(), lastUpdated: now(), lastPublished: null,
+          cmsLocaleId: info.locales?.primary?.cmsLocaleId || null, ...it
+        };
+        for (const [cmsLocaleId, variant] of Object.entries(localized)) {
+          state.localized.set(`${base.id}:${cmsLocaleId}`, {
+            isDraft: base.isDraft, isArchived: base.isArchived, lastUpdated: now(), lastPublished: null, ...variant
+          });
+        }
+        return base;
+      }));
+    }
+    for (const a of assets) state.assets.set(a.id, { siteId: info.id, createdOn: now(), lastUpdated: now(), ...a });
+    for (const w of webhooks) state.webhooks.set(w.id, { siteId: info.id, createdOn: now(), ...w });
+  }
+  return state;
+}
+
+const collectionSummary = ({ siteId, fields, ...c }) => c;
+
+/**
+ * Create a mock Webflow server.
+ * options: { seed, token, pageLimit, replayDir, recordDir, recordTarget }
+ * - token: when set, requests must send `Authorization: Bearer <token>`
+ * - recordDir: proxy every /v2 call to recordTarget and save the responses as fixtures
+ * - replayDir: answer from saved fixtures when one matches, else from in-memory state
+ */
+function createMockWebflow(options = {}) {
+  const seed = options.seed || DEFAULT_SEED;
+  const pageLimit = options.pageLimit || 100;
+  const mock = {
+    state: buildState(seed),
+    requests: [],
+    injections: [],
+    url: null,
+    reset() {
+      mock.state = buildState(seed);
+      mock.requests.length = 0;
+      mock.injections.length = 0;
+    },
+    /**
+     * Queue a fault: { method?, path (string prefix or RegExp), status = 429, times = 1, retryAfter?, body? }
+     */
+    inject(fault) {
+      mock.injections.push({ method: undefined, status: 429, times: 1, ...fault });
+    },
+    async listen(port = 0, host = '127.0.0.1') {
+      await new Promise((resolve, reject) => {
+        mock.server = app.listen(port, host, resolve).on('error', reject);
+      });
+      mock.url = `http://${host}:${mock.server.address().port}`;
+      mock.baseUrl = `${mock.url}/v2`;
+      return mock;
+    },
+    close() {
+      return new Promise((resolve) => (mock.server ? mock.server.close(() => resolve()) : resolve()));
+    },
+  };
+
+  const app = express();
+  app.disable('x-powered-by');
+
+  // Presigned storage target for asset uploads (outside /v2, no auth, like S3)
+  app.post('/__upload/:assetId', express.raw({ type: () => true, limit: '100mb' }), async (req, res) => {
+    const asset = mock.state.assets.get(req.params.assetId);
+    if (!asset) return res.status(404).send('NoSuchKey');
+    let form;
+    try {
+      form = await new Response(req.body, { headers: { 'content-type': req.header('content-type') || '' } }).formData();
+    } catch {
+      return res.status(400).send('MalformedPOSTRequest');
+    }
+    const file = form.get('file');
+    if (!file || typeof file === 'string' || !form.get('key')) return res.status(400).send('InvalidArgument');
+    asset.uploaded = true;
+    asset.size = file.size;
+    asset.contentType = file.type || null;
+    res.status(201).send('');
+  });
+
+  // Control endpoints for standalone use
+  app.post('/__mock/reset', (req, res) => { mock.reset(); res.json({ status: 'ok' }); });
+  app.post('/__mock/inject', express.json(), (req, res) => {
+    const { path: p, pathRegex, ...fault } = req.body || {};
+    mock.inject({ ...fault, path: pathRegex ? new RegExp(pathRegex) : p });
+    res.json({ status: 'ok', queued: mock.injections.length });
+  });
+  app.get('/__mock/requests', (req, res) => res.json({ requests: mock.requests }));
+
+  const v2 = express.Router();
+  v2.use(express.json({ limit: '10mb' }));
+
+  v2.use((req, res, next) => {
+    mock.requests.push({ method: req.method, path: req.path, query: { ...req.query }, body: req.body, at: now() });
+    if (options.token && req.header('authorization') !== `Bearer ${options.token}`) {
+      return fail(res, 401, 'not_authorized', 'Request not authorized');
+    }
+    const i = mock.injections.findIndex(f => (!f.method || f.method === req.method) &&
+      (f.path instanceof RegExp ? f.path.test(req.path) : req.path.startsWith(f.path || '/')));
+    if (i >= 0) {
+      const fault = mock.injections[i];
+      if (--fault.times <= 0) mock.injections.splice(i, 1);
+      if (fault.retryAfter !== undefined) res.setHeader('Retry-After', String(fault.retryAfter));
+      if (fault.status === 429) res.setHeader('X-RateLimit-Remaining', '0');
+      return res.status(fault.status).json(fault.body || {
+        code: fault.status === 429 ? 'too_many_requests' : 'internal_error',
+        message: fault.status === 429 ? 'Too many requests' : `Injected error ${fault.status}`,
+      });
+    }
+    res.setHeader('X-RateLimit-Limit', '60');
+    res.setHeader('X-RateLimit-Remaining', '59');
+    next();
+  });
+
+  if (options.replayDir) {
+    v2.use((req, res, next) => {
+      const body = req.body && Object.keys(req.body).length ? req.body : undefined;
+      const fixture = readFixture(options.replayDir, { method: req.method, path: req.path, query: req.query, body });
+      if (!fixture) return next();
+      for (const [k, v] of Object.entries(fixture.response.headers || {})) res.setHeader(k, v);
+      res.status(fixture.response.status);
+      return fixture.response.body === null ? res.end() : res.send(fixture.response.body);
+    });
+  }
+
+  if (options.recordDir) {
+    const target = (options.recordTarget || RECORD_TARGET).replace(/\/+$/, '');
+    v2.use(async (req, res) => {
+      const body = req.body && Object.keys(req.body).length ? req.body : undefined;
+      const url = new URL(target + req.path);
+      for (const [k, v] of Object.entries(req.query)) url.searchParams.append(k, v);
+      try {
+        const upstream = await fetch(url, {
+          method: req.method,
+          headers: {
+            ...(req.header('authorization') ? { Authorization: req.header('authorization') } : {}),
+            ...(body ? { 'Content-Type': 'application/json' } : {}),
+          },
+          body: body ? JSON.stringify(body) : undefined,
+        });
+        const text = await upstream.text();
+        const headers = Object.fromEntries(RECORDED_HEADERS.filter(h => upstream.headers.has(h)).map(h => [h, upstream.headers.get(h)]));
+        writeFixture(options.recordDir, { method: req.method, path: req.path, query: req.query, body }, {
+          status: upstream.status, headers, body: text || null,
+        });
+        for (const [k, v] of Object.entries(headers)) res.setHeader(k, v);
+        res.status(upstream.status).send(text);
+      } catch (e) {
+        fail(res, 502, 'record_failed', `Recording proxy could not reach ${target}: ${e.message}`);
+      }
+    });
+  }
+
+  const site = (req, res) => {
+    const s = mock.state.sites.get(req.params.siteId);
+    if (!s) fail(res, 404, 'resource_not_found', `Site ${req.params.siteId} not found`);
+    return s;
+  };
+  const collection = (req, res) => {
+    const c = mock.state.collections.get(req.params.collectionId);
+    if (!c) fail(res, 404, 'resource_not_found', `Collection ${req.params.collectionId} not found`);
+    return c;
+  };
+  const items = (collectionId) => mock.state.items.get(collectionId) || [];
+
+  // Secondary locale requested for a collection: null for the primary (or none), undefined if unknown
+  const secondaryLocale = (collectionId, cmsLocaleId) => {
+    const locales = mock.state.sites.get(mock.state.collections.get(collectionId)?.siteId)?.locales;
+    if (!cmsLocaleId || cmsLocaleId === locales?.primary?.cmsLocaleId) return null;
+    return (locales?.secondary || []).some(l => l.cmsLocaleId === cmsLocaleId) ? cmsLocaleId : undefined;
+  };
+  const localeOrFail = (req, res, cmsLocaleId) => {
+    const locale = secondaryLocale(req.params.collectionId, cmsLocaleId);
+    if (locale === undefined) fail(res, 400, 'validation_error', `Unknown cmsLocaleId ${cmsLocaleId}`);
+    return locale;
+  };
+  // An item as seen in one locale; a locale nobody translated still shows the primary content
+  const view = (it, locale) => {
+    if (!locale) return it;
+    return { ...it, ...mock.state.localized.get(`${it.id}:${locale}`), cmsLocaleId: locale };
+  };
+  const variant = (it, locale) => {
+    const key = `${it.id}:${locale}`;
+    if (!mock.state.localized.has(key)) {
+      mock.state.localized.set(key, {
+        fieldData: { ...it.fieldData }, isDraft: it.isDraft, isArchived: it.isArchived, lastUpdated: it.lastUpdated, lastPublished: null
+      });
+    }
+    return mock.state.localized.get(key);
+  };
+
+  // ---- Sites ----
+  v2.get('/sites', (req, res) => res.json({ sites: [...mock.state.sites.values()] }));
+  v2.get('/sites/:siteId', (req, res) => {
+    const s = site(req, res);
+    if (s) res.json(s);
+  });
+  v2.post('/sites/:siteId/publish', (req, res) => {
+    const s = site(req, res);
+    if (!s) return;
+    s.lastPublished = now();
+    res.status(202).json({ customDomains: s.customDomains, publishToWebflowSubdomain: true });
+  });
+
+  // ---- Collections ----
+  v2.get('/sites/:siteId/collections', (req, res) => {
+    if (!site(req, res)) return;
+    const list = [...mock.state.collections.values()].filter(c => c.siteId === req.params.siteId);
+    res.json({ collections: list.map(collectionSummary) });
+  });
+  v2.get('/collections/:collectionId', (req, res) => {
+    const c = collection(req, res);
+    if (c) res.json((({ siteId, ...rest }) => rest)(c));
+  });
+
+  // ---- Items ----
+  const makeItem = (collectionId, { fieldData = {}, isDraft = false, isArchived = false }) => ({
+    id: newId(), lastPublished: null, lastUpdated: now(), createdOn: now(),
+    cmsLocaleId: mock.state.sites.get(mock.state.collections.get(collectionId)?.siteId)?.locales?.primary?.cmsLocaleId || null,
+    isArchived, isDraft, fieldData,
+  });
+  const slugTaken = (collectionId, slug, exceptId) =>
+    slug && items(collectionId).some(it => it.fieldData?.slug === slug && it.id !== exceptId);
+  const applyPatch = (it, { fieldData, isDraft, isArchived }) => {
+    if (fieldData) it.fieldData = { ...it.fieldData, ...fieldData };
+    if (isDraft !== undefined) it.isDraft = isDraft;
+    if (isArchived !== undefined) it.isArchived = isArchived;
+    it.lastUpdated = now();
+    return it;
+  };
+
+  v2.get('/collections/:collectionId/items', (req, res) => {
+    if (!collection(req, res)) return;
+    const locale = localeOrFail(req, res, req.query.cmsLocaleId);
+    if (locale === undefined) return;
+    const all = items(req.params.collectionId);
+    const offset = Math.max(0, Number(req.query.offset) || 0);
+    const limit = Math.min(pageLimit, Math.max(1, Number(req.query.limit) || pageLimit));
+    res.json({ items: all.slice(offset, offset + limit).map(it => view(it, locale)), pagination: { limit, offset, total: all.length } });
+  });
+
+  // Single ({ fieldData }) or bulk ({ items: [...] }) create
+  v2.post('/collections/:collectionId/items', (req, res) => {
+    if (!collection(req, res)) return;
+    const cid = req.params.collectionId;
+    const inputs = Array.isArray(req.body?.items) ? req.body.items : [req.body || {}];
+    const locale = localeOrFail(req, res, req.body?.cmsLocaleId);
+    if (locale === undefined) return;
+    for (const input of inputs) {
+      if (!input.fieldData?.name || !input.fieldData?.slug) {
+        return fail(res, 400, 'validation_error', 'fieldData.name and fieldData.slug are required');
+      }
+      if (slugTaken(cid, input.fieldData.slug)) {
+        return fail(res, 409, 'duplicate_value', `Slug "${input.fieldData.slug}" is already in use`);
+      }
+    }
+    const created = inputs.map(input => makeItem(cid, input));
+    mock.state.items.set(cid, [...items(cid), ...created]);
+    if (locale) for (const it of created) variant(it, locale);
+    if (Array.isArray(req.body?.items)) return res.status(202).json({ items: created.map(it => view(it, locale)) });
+    res.status(202).json(view(created[0], locale));
+  });
+
+  v2.patch('/collections/:collectionId/items', (req, res) => {
+    if (!collection(req, res)) return;
+    const cid = req.params.collectionId;
+    const updates = Array.isArray(req.body?.items) ? req.body.items : [];
+    const missing = updates.find(u => !items(cid).some(it => it.id === u.id));
+    if (missing) return fail(res, 404, 'resource_not_found', `Item ${missing.id} not found`);
+    const locales = updates.map(u => localeOrFail(req, res, u.cmsLocaleId));
+    if (locales.includes(undefined)) return;
+    const updated = updates.map((u, i) => {
+      const it = items(cid).find(x => x.id === u.id);
+      if (!locales[i]) return applyPatch(it, u);
+      applyPatch(variant(it, locales[i]), u);
+      return view(it, locales[i]);
+    });
+    res.json({ items: updated });
+  });
+
+  v2.post('/collections/:collectionId/items/publish', (req, res) => {
+    if (!collection(req, res)) return;
+    // { itemIds } publishes every locale; { items: [{ id, cmsLocaleIds }] } only the listed ones
+    const targets = Array.isArray(req.body?.items)
+      ? req.body.items.map(({ id, cmsLocaleIds }) => ({ id, cmsLocaleIds }))
+      : (Array.isArray(req.body?.itemIds) ? req.body.itemIds : []).map(id => ({ id }));
+    const publishedItemIds = [], errors = [];
+    for (const { id, cmsLocaleIds } of targets) {
+      const it = items(req.params.collectionId).find(i => i.id === id);
+      if (!it) { errors.push(`Item ${id} not found`); continue; }
+      const locales = cmsLocaleIds ? cmsLocaleIds.map(l => secondaryLocale(req.params.collectionId, l)) : [null];
+      if (locales.includes(undefined)) { errors.push(`Unknown cmsLocaleId for item ${id}`); continue; }
+      for (const locale of locales) Object.assign(locale ? variant(it, locale) : it, { lastPublished: now(), isDraft: false });
+      publishedItemIds.push(id);
+    }
+    res.status(202).json({ publishedItemIds, errors });
+  });
+
+  v2.delete('/collections/:collectionId/items/live', (req, res) => {
+    if (!collection(req, res)) return;
+    for (const { id } of req.body?.items || []) {
+      const it = items(req.params.collectionId).find(i => i.id === id);
+      if (it) it.lastPublished = null;
+    }
+    res.status(204).end();
+  });
+
+  const item = (req, res) => {
+    if (!collection(req, res)) return null;
+    const it = items(req.params.collectionId).find(i => i.id === req.params.itemId);
+    if (!it) fail(res, 404, 'resource_not_found', `Item ${req.params.itemId} not found`);
+    return it;
+  };
+  v2.get('/collections/:collectionId/items/:itemId', (req, res) => {
+    const it = item(req, res);
+    if (!it) return;
+    const locale = localeOrFail(req, res, req.query.cmsLocaleId);
+    if (locale !== undefined) res.json(view(it, locale));
+  });
+  v2.patch('/collections/:collectionId/items/:itemId', (req, res) => {
+    const it = item(req, res);
+    if (!it) return;
+    const locale = localeOrFail(req, res, req.body?.cmsLocaleId);
+    if (locale === undefined) return;
+    if (locale) {
+      applyPatch(variant(it, locale), req.body || {});
+      return res.json(view(it, locale));
+    }
+    if (slugTaken(req.params.collectionId, req.body?.fieldData?.slug, it.id)) {
+      return fail(res, 409, 'duplicate_value', `Slug "${req.body.fieldData.slug}" is already in use`);
+    }
+    res.json(applyPatch(it, req.body || {}));
+  });
+  v2.delete('/collections/:collectionId/items/:itemId', (req, res) => {
+    const it = item(req, res);
+    if (!it) return;
+    mock.state.items.set(req.params.collectionId, items(req.params.collectionId).filter(i => i !== it));
+    for (const key of mock.state.localized.keys()) if (key.startsWith(`${it.id}:`)) mock.state.localized.delete(key);
+    res.status(204).end();
+  });
+
+  // ---- Assets (metadata request returns a presigned upload target on this server) ----
+  v2.get('/sites/:siteId/assets', (req, res) => {
+    if (!site(req, res)) return;
+    const all = [...mock.state.assets.values()].filter(a => a.siteId === req.params.siteId);
+    const offset = Math.max(0, Number(req.query.offset) || 0);
+    const limit = Math.min(pageLimit, Math.max(1, Number(req.query.limit) || pageLimit));
+    res.json({ assets: all.slice(offset, offset + limit), pagination: { limit, offset, total: all.length } });
+  });
+  v2.post('/sites/:siteId/assets', (req, res) => {
+    if (!site(req, res)) return;
+    const { fileName, fileHash, parentFolder } = req.body || {};
+    if (!fileName || !fileHash) return fail(res, 400, 'validation_error', 'fileName and fileHash are required');
+    const id = newId();
+    const base = `${req.protocol}://${req.get('host')}`;
+    const asset = {
+      id, siteId: req.params.siteId, originalFileName: fileName, displayName: fileName, fileHash,
+      parentFolder: parentFolder || null, altText: null, uploaded: false,
+      hostedUrl: `${base}/__assets/${req.params.siteId}/${id}_${encodeURIComponent(fileName)}`,
+      createdOn: now(), lastUpdated: now(),
+    };
+    mock.state.assets.set(id, asset);
+    res.status(202).json({
+      ...asset,
+      uploadUrl: `${base}/__upload/${id}`,
+      uploadDetails: { key: `${req.params.siteId}/${id}_${fileName}`, acl: 'public-read', success_action_status: '201' },
+    });
+  });
+  const asset = (req, res) => {
+    const a = mock.state.assets.get(req.params.assetId);
+    if (!a) fail(res, 404, 'resource_not_found', `Asset ${req.params.assetId} not found`);
+    return a;
+  };
+  v2.get('/assets/:assetId', (req, res) => {
+    const a = asset(req, res);
+    if (a) res.json(a);
+  });
+  v2.patch('/assets/:assetId', (req, res) => {
+    const a = asset(req, res);
+    if (!a) return;
+    for (const k of ['displayName', 'altText', 'parentFolder']) if (req.body?.[k] !== undefined) a[k] = req.body[k];
+    a.lastUpdated = now();
+    res.json(a);
+  });
+  v2.delete('/assets/:assetId', (req, res) => {
+    if (!asset(req, res)) return;
+    mock.state.assets.delete(req.params.assetId);
+    res.status(204).end();
+  });
+
+  // ---- Webhooks ----
+  v2.get('/webhooks', (req, res) => res.json({ webhooks: [...mock.state.webhooks.values()] }));
+  v2.get('/sites/:siteId/webhooks', (req, res) => {
+    if (!site(req, res)) return;
+    res.json({ webhooks: [...mock.state.webhooks.values()].filter(w => w.siteId === req.params.siteId) });
+  });
+  v2.post('/sites/:siteId/webhooks', (req, res) => {
+    if (!site(req, res)) return;
+    const { triggerType, url, filter } = req.body || {};
+    if (!triggerType || !url) return fail(res, 400, 'validation_error', 'triggerType and url are required');
+    const hook = { id: newId(), siteId: req.params.siteId, triggerType, url, filter: filter || null, createdOn: now() };
+    mock.state.webhooks.set(hook.id, hook);
+    res.status(201).json(hook);
+  });
+  v2.get('/webhooks/:webhookId', (req, res) => {
+    const w = mock.state.webhooks.get(req.params.webhookId);
+    if (!w) return fail(res, 404, 'resource_not_found', `Webhook ${req.params.webhookId} not found`);
+    res.json(w);
+  });
+  v2.delete('/webhooks/:webhookId', (req, res) => {
+    if (!mock.state.webhooks.delete(req.params.webhookId)) {
+      return fail(res, 404, 'resource_not_found', `Webhook ${req.params.webhookId} not found`);
+    }
+    res.status(204).end();
+  });
+
+  v2.use((req, res) => fail(res, 404, 'route_not_found', `Mock has no route for ${req.method} ${req.path}`));
+
+  app.use('/v2', v2);
+  mock.app = app;
+  return mock;
+}
+
+module.exports = { createMockWebflow, fixtureKey };
+
+// ---- Standalone ----
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const arg = (name) => {
+    const i = args.indexOf(`--${name}`);
+    return i >= 0 ? args[i + 1] : undefined;
+  };
+  const seedFile = arg('seed');
+  const mock = createMockWebflow({
+    seed: seedFile ? JSON.parse(fs.readFileSync(seedFile, 'utf8')) : undefined,
+    token: process.env.MOCK_WEBFLOW_TOKEN,
+    recordDir: arg('record'),
+    replayDir: arg('replay'),
+    recordTarget: process.env.MOCK_RECORD_TARGET,
+  });
+  mock.listen(Number(arg('port') || process.env.MOCK_PORT || 4010)).then(() => {
+    console.log(`[webflow-mock] listening on ${mock.url}; set WF_API_BASE=${mock.baseUrl}`);
+  });
+}
@@ -0,0 +1,868 @@
+'use strict';
+
+// End-to-end: the connector against the bundled mock Webflow server (no network)
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createMockWebflow } = require('../mock/webflow');
+
+const SITE_ID = '5f0c8c9e1c9d440000e8d8c1';
+const PROD_SITE_ID = '5f0c8c9e1c9d440000e8d8c2';
+const ARTICLES = '6390c49774a71f0e3c1a08ee';
+const AUTHORS = '6390c49774a71f0e3c1a08ef';
+const TOKEN = 'mock-token';
+const WEBHOOK_SECRET = 'whsec-test';
+// Connector tokens (API_TOKENS_FILE); requests use `admin` unless a test says otherwise
+const TOKENS = {
+  admin: { name: 'admin', token: 'admin-token', publish: true, delete: true },
+  reader: { name: 'reader', token: 'reader-token', methods: ['GET'] },
+  authors: { name: 'authors', token: 'authors-token', collections: ['authors'] },
+  prod: { name: 'prod', token: 'prod-token', sites: [PROD_SITE_ID] },
+  poster: { name: 'poster', token: 'poster-token', methods: ['GET', 'POST'] },
+};
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'webflow-mcp-e2e-'));
+let mock, server, base;
+
+async function api(method, urlPath, { body, headers = {}, raw = false } = {}) {
+  const res = await fetch(base + urlPath, {
+    method,
+    headers: {
+      ...(body !== undefined && !Buffer.isBuffer(body) ? { 'content-type': 'application/json' } : {}),
+      'x-allow-destructive': 'true',
+      'x-api-token': TOKENS.admin.token,
+      ...headers,
+    },
+    body: body === undefined ? undefined : (Buffer.isBuffer(body) ? body : JSON.stringify(body)),
+  });
+  const text = await res.text();
+  let json = null;
+  try { json = text ? JSON.parse(text) : null; } catch { /* CSV/NDJSON bodies */ }
+  return { status: res.status, headers: res.headers, json, text: raw ? text : undefined };
+}
+
+// Collects the events of one /sse session until close() is called
+async function openSse(token) {
+  const controller = new AbortController();
+  const res = await fetch(`${base}/sse`, { headers: { 'x-api-token': token }, signal: controller.signal });
+  const events = [];
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = '';
+  let ready;
+  const hello = new Promise((resolve) => { ready = resolve; });
+  const pump = (async () => {
+    try {
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) return;
+        buffered += decoder.decode(value, { stream: true });
+        let end;
+        while ((end = buffered.indexOf('\n\n')) >= 0) {
+          const block = buffered.slice(0, end);
+          buffered = buffered.slice(end + 2);
+          const event = /^event: (.*)$/m.exec(block)?.[1];
+          const data = /^data: (.*)$/m.exec(block)?.[1];
+          let parsed = data;
+          try { parsed = JSON.parse(data); } catch { /* endpoint URL */ }
+          events.push({ event, data: parsed });
+          if (event === 'hello') ready();
+        }
+      }
+    } catch { /* aborted */ }
+  })();
+  await hello;
+  return {
+    events,
+    of: (name) => events.filter(e => e.event === name).map(e => e.data),
+    close: async () => { controller.abort(); await pump; },
+  };
+}
+
+before(async () => {
+  mock = await createMockWebflow({ token: TOKEN }).listen();
+  Object.assign(process.env, {
+    WF_API_BASE: mock.baseUrl,
+    WEBFLOW_API_KEY: TOKEN,
+    WEBFLOW_SITE_ID: SITE_ID,
+    ARTICLES_COLLECTION_ID: ARTICLES,
+    COLLECTION_ALIASES: `authors=${AUTHORS}`,
+    WF_RATE_PER_MINUTE: '100000',
+    WF_RETRY_BASE_MS: '5',
+    WF_RETRY_MAX_MS: '20',
+    JOURNAL_PATH: path.join(tmp, 'journal.ndjson'),
+    SCHEDULES_PATH: path.join(tmp, 'schedules.json'),
+    ASSET_INDEX_PATH: path.join(tmp, 'assets.json'),
+    WEBFLOW_WEBHOOK_SECRET: WEBHOOK_SECRET,
+    PUBLIC_URL: 'https://connector.example.com',
+    LOG_LEVEL: 'error',
+    API_TOKENS_FILE: path.join(tmp, 'tokens.json'),
+  });
+  fs.writeFileSync(process.env.API_TOKENS_FILE, JSON.stringify({ tokens: Object.values(TOKENS) }));
+  const app = require('../index.js');
+  await new Promise((resolve) => { server = app.listen(0, '127.0.0.1', resolve); });
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await mock.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+describe('collections and items', () => {
+  it('lists the site collections through the configured base URL', async () => {
+    const { status, json } = await api('GET', `/collections?full=true&siteId=${SITE_ID}`);
+    assert.equal(status, 200);
+    assert.deepEqual(json.collections.map(c => c.slug).sort(), ['articles', 'authors']);
+    assert.ok(mock.requests.some(r => r.path === `/sites/${SITE_ID}/collections`));
+  });
+
+  it('creates, reads, updates and deletes an item via an alias', async () => {
+    const created = await api('POST', '/collections/articles/items', {
+      body: { fieldData: { name: 'E2E article', slug: 'e2e-article' } }
+    });
+    assert.equal(created.status, 201);
+    const itemId = created.json.created.id;
+
+    const got = await api('GET', `/collections/articles/items/${itemId}`);
+    assert.equal(got.json.item.fieldData.name, 'E2E article');
+
+    const updated = await api('PATCH', `/collections/articles/items/${itemId}`, { body: { fieldData: { summary: 'Now with a summary' } } });
+    assert.equal(updated.status, 200);
+    assert.equal(mock.state.items.get(ARTICLES).find(i => i.id === itemId).fieldData.summary, 'Now with a summary');
+
+    const deleted = await api('DELETE', `/collections/articles/items/${itemId}`);
+    assert.equal(deleted.status, 200);
+    assert.equal(mock.state.items.get(ARTICLES).some(i => i.id === itemId), false);
+  });
+
+  it('rejects fieldData that does not match the schema', async () => {
+    const { status, json } = await api('POST', '/collections/articles/items', {
+      body: { fieldData: { name: 'Bad', slug: 'bad', summry: 'typo' } }
+    });
+    assert.equal(status, 400);
+    assert.equal(json.details.code, 'FIELD_VALIDATION_FAILED');
+  });
+
+  it('requires x-allow-destructive for mutations', async () => {
+    const { status } = await api('POST', '/collections/authors/items', {
+      body: { fieldData: { name: 'Nobody', slug: 'nobody' } }, headers: { 'x-allow-destructive': 'false' }
+    });
+    assert.equal(status, 403);
+  });
+
+  it('returns a diff and writes nothing on dry run', async () => {
+    const before = mock.requests.filter(r => r.method !== 'GET').length;
+    const { status, json } = await api('PATCH', '/collections/authors/items/6390c49774a71f0e3c1a0a01', {
+      body: { fieldData: { bio: 'Analyst' } }, headers: { 'x-dry-run': 'true' }
+    });
+    assert.equal(status, 200);
+    assert.deepEqual(json.diff.fieldData.changed.bio, { from: 'Mathematician', to: 'Analyst' });
+    assert.equal(mock.requests.filter(r => r.method !== 'GET').length, before);
+  });
+
+  it('searches only the collections in the token scope by default', async () => {
+    const authors = { 'x-api-token': TOKENS.authors.token };
+    const { status, json } = await api('GET', '/search?q=mathematician', { headers: authors });
+    assert.equal(status, 200);
+    assert.ok(json.results.length > 0);
+    assert.ok(json.results.every(r => r.collectionId === AUTHORS));
+    assert.equal((await api('GET', '/search?q=mathematician&collections=articles', { headers: authors })).status, 403);
+  });
+
+  it('imports JSON rows over 1 MB and reports rows that are not objects', async () => {
+    const bio = 'x'.repeat(1.2 * 1024 * 1024);
+    const data = [null, 7, { fieldData: [] }, { fieldData: { name: 'Ada Byron', slug: 'ada-byron', bio } }];
+    const { status, json } = await api('POST', '/collections/authors/import?dryRun=true', { body: { format: 'ndjson', data } });
+    assert.equal(status, 200);
+    assert.deepEqual(json.results.map(r => r.action), ['error', 'error', 'error', 'create']);
+    assert.match(json.results[0].errors[0].message, /Row 1: expected an object/);
+  });
+
+  it('pages through large collections on export', async () => {
+    const bulk = Array.from({ length: 230 }, (_, i) => ({ fieldData: { name: `Bulk ${i}`, slug: `bulk-${i}` } }));
+    mock.state.items.set(AUTHORS, [
+      ...mock.state.items.get(AUTHORS),
+      ...bulk.map((b, i) => ({ id: `bulk${String(i).padStart(20, '0')}`, isDraft: false, isArchived: false, ...b })),
+    ]);
+    const { status, text } = await api('GET', '/collections/authors/export?format=ndjson', { raw: true });
+    assert.equal(status, 200);
+    assert.equal(text.trim().split('\n').length, 232);
+    mock.state.items.set(AUTHORS, mock.state.items.get(AUTHORS).filter(i => !i.id.startsWith('bulk')));
+  });
+});
+
+describe('token registry', () => {
+  const ADA = '6390c49774a71f0e3c1a0a01';
+  const as = (name) => ({ 'x-api-token': TOKENS[name].token });
+  const denied = async (method, urlPath, name, body) => {
+    const before = mock.requests.filter(r => r.method !== 'GET').length;
+    const { status, json } = await api(method, urlPath, { body, headers: as(name) });
+    assert.equal(status, 403, `${method} ${urlPath} as ${name}`);
+    assert.equal(json.details.code, 'TOKEN_SCOPE_DENIED');
+    assert.equal(json.details.token, name);
+    assert.equal(mock.requests.filter(r => r.method !== 'GET').length, before);
+    return json;
+  };
+
+  it('rejects requests without a known token', async () => {
+    const { status, json } = await api('GET', '/collections/authors/items', { headers: { 'x-api-token': 'nope' } });
+    assert.equal(status, 401);
+    assert.equal(json.details.code, 'MISSING_OR_INVALID_API_TOKEN');
+  });
+
+  it('denies methods the token does not list', async () => {
+    assert.equal((await api('GET', `/collections/authors/items/${ADA}`, { headers: as('reader') })).status, 200);
+    const { details } = await denied('PATCH', `/collections/authors/items/${ADA}`, 'reader', { fieldData: { name: 'Ada L.' } });
+    assert.equal(details.method, 'PATCH');
+  });
+
+  it('denies collections outside the token scope, by alias or id', async () => {
+    assert.equal((await api('GET', '/collections/authors/items', { headers: as('authors') })).status, 200);
+    assert.equal((await denied('GET', '/collections/articles/items', 'authors')).details.collectionId, ARTICLES);
+    await denied('GET', `/collections/${ARTICLES}/items`, 'authors');
+    await denied('GET', `/collections/${ARTICLES}`, 'authors');
+  });
+
+  it('denies sites outside the token scope', async () => {
+    assert.equal((await denied('GET', `/sites/${SITE_ID}/collections`, 'prod')).details.siteId, SITE_ID);
+    assert.equal((await api('GET', `/sites/${PROD_SITE_ID}/collections`, { headers: as('prod') })).status, 200);
+  });
+
+  it('denies collections owned by sites outside the token scope', async () => {
+    const { message } = await denied('POST', '/collections/authors/items', 'prod', { fieldData: { name: 'Intruder', slug: 'intruder' } });
+    assert.match(message, /outside its sites/);
+    await denied('PATCH', `/collections/authors/items/${ADA}`, 'prod', { fieldData: { name: 'Ada L.' } });
+    await denied('GET', `/collections/${AUTHORS}/items`, 'prod');
+    await denied('GET', '/collections/authors/export?format=json', 'prod');
+    assert.equal((await api('GET', '/collections/7390c49774a71f0e3c1a08ef/items', { headers: as('prod') })).status, 200);
+  });
+
+  it('denies an async sync of collections outside the token scope before starting a job', async () => {
+    const { status, json } = await api('POST', '/sync?async=true', {
+      body: { sourceSiteId: SITE_ID, targetSiteId: PROD_SITE_ID },
+      headers: { ...as('authors'), 'x-allow-destructive': 'true' },
+    });
+    assert.equal(status, 403);
+    assert.equal(json.details.code, 'TOKEN_SCOPE_DENIED');
+    assert.equal(json.details.collectionId, ARTICLES);
+    assert.equal(json.jobId, undefined);
+  });
+
+  it('denies publishing and deleting without the publish and delete flags', async () => {
+    assert.match((await denied('POST', '/collections/authors/items/publish', 'authors', { itemIds: [ADA] })).message, /may not publish/);
+    assert.match((await denied('DELETE', `/collections/authors/items/${ADA}`, 'authors')).message, /may not delete/);
+    assert.ok(mock.state.items.get(AUTHORS).some(i => i.id === ADA));
+  });
+});
+
+describe('markdown', () => {
+  const stored = (id) => mock.state.items.get(ARTICLES).find(i => i.id === id).fieldData.body;
+  const MD = [
+    '# Release notes',
+    '',
+    'Read the **full *changelog*** at [the docs](https://example.com/docs "Docs") or run `npm test`.',
+    '',
+    '- First',
+    '  - Nested',
+    '- Second with *emphasis*',
+    '',
+    '1. One',
+    '2. Two',
+    '',
+    '![A chart](https://cdn.example.com/chart.png "Quarterly numbers")',
+    '',
+    '```',
+    'const a = 1 < 2;',
+    '```',
+    '',
+    '> Quoted text',
+  ].join('\n');
+  const HTML = '<h1>Release notes</h1>' +
+    '<p>Read the <strong>full <em>changelog</em></strong> at <a href="https://example.com/docs" title="Docs">the docs</a> or run <code>npm test</code>.</p>' +
+    '<ul><li>First<ul><li>Nested</li></ul></li><li>Second with <em>emphasis</em></li></ul>' +
+    '<ol><li>One</li><li>Two</li></ol>' +
+    '<figure class="w-richtext-figure-type-image w-richtext-align-center" data-rt-type="image" data-rt-align="center">' +
+    '<div><img src="https://cdn.example.com/chart.png" alt="A chart"></div><figcaption>Quarterly numbers</figcaption></figure>' +
+    '<pre><code>const a = 1 &lt; 2;</code></pre>' +
+    '<blockquote>Quoted text</blockquote>';
+  let itemId;
+
+  before(async () => {
+    const created = await api('POST', '/collections/articles/items?contentFormat=markdown', {
+      body: { fieldData: { name: 'Markdown', slug: 'markdown', body: MD } }
+    });
+    assert.equal(created.status, 201);
+    itemId = created.json.created.id;
+  });
+
+  after(async () => {
+    await api('DELETE', `/collections/articles/items/${itemId}`);
+  });
+
+  it('writes Markdown as RichText HTML', async () => {
+    assert.equal(stored(itemId), HTML);
+    const preview = await api('PATCH', `/collections/articles/items/${itemId}?contentFormat=markdown&dryRun=true`, {
+      body: { fieldData: { body: MD } }
+    });
+    assert.equal(preview.json.diff.hasChanges, false);
+  });
+
+  it('reads RichText back as the same Markdown, and writing that back keeps the HTML', async () => {
+    const { json } = await api('GET', `/collections/articles/items/${itemId}?contentFormat=markdown`);
+    assert.equal(json.item.fieldData.body, MD);
+    assert.equal(json.item.fieldData.name, 'Markdown');
+    await api('PATCH', `/collections/articles/items/${itemId}?contentFormat=markdown`, { body: { fieldData: { body: json.item.fieldData.body } } });
+    assert.equal(stored(itemId), HTML);
+    const list = await api('GET', '/collections/articles/items?contentFormat=markdown');
+    assert.equal(list.json.items.find(i => i.id === itemId).fieldData.body, MD);
+  });
+
+  it('reduces HTML outside the RichText subset', async () => {
+    const html = '<div class="x"><p style="color:red">Hello <span>big</span> <u>world</u><script>alert(1)</script></p>' +
+      '<table><tr><td>cell</td></tr></table><h2 id="a">Title <b>bold</b> <i>it</i></h2>' +
+      '<ul><li><p>Para item</p><ol><li>deep</li></ol></li></ul><hr><p>line<br>break</p></div>';
+    await api('PATCH', `/collections/articles/items/${itemId}`, { body: { fieldData: { body: html } } });
+    const { json } = await api('GET', `/collections/articles/items/${itemId}?contentFormat=markdown`);
+    assert.equal(json.item.fieldData.body, 'Hello big world\n\ncell\n\n## Title **bold** *it*\n\n- Para item\n  1. deep\n\nline  \nbreak');
+  });
+
+  it('escapes text that would read as Markdown syntax', async () => {
+    const html = '<p># Tag</p><p>- not a list</p><p>+ nor this</p><p>1. not ordered</p><p>2) either</p>' +
+      '<p>&gt; not a quote</p><p>---</p><p>~~~</p><p>snake_case, *stars*, [not](a link) and &lt;b&gt;literal&lt;/b&gt;</p>' +
+      '<h2>Heading with _under_ and &lt;tag&gt;</h2><ul><li>[x] item</li></ul>';
+    await api('PATCH', `/collections/articles/items/${itemId}`, { body: { fieldData: { body: html } } });
+    const { json } = await api('GET', `/collections/articles/items/${itemId}?contentFormat=markdown`);
+    const md = json.item.fieldData.body;
+    assert.match(md, /^\\# Tag$/m);
+    assert.match(md, /^1\\\. not ordered$/m);
+    await api('PATCH', `/collections/articles/items/${itemId}?contentFormat=markdown`, { body: { fieldData: { body: md } } });
+    assert.equal(stored(itemId), html);
+  });
+
+  it('keeps only safe tags, attributes and URLs from raw HTML blocks in Markdown', async () => {
+    const md = 'Intro\n\n<p onclick="x()">Raw <a href="javascript:alert(1)">bad</a> <a href="https://ok.example" target="_blank">ok</a>' +
+      '<iframe src="https://x"></iframe></p>';
+    const { status } = await api('PATCH', `/collections/articles/items/${itemId}?contentFormat=markdown`, { body: { fieldData: { body: md } } });
+    assert.equal(status, 200);
+    assert.equal(stored(itemId), '<p>Intro</p><p>Raw <a>bad</a> <a href="https://ok.example" target="_blank">ok</a></p>');
+  });
+
+  it('rejects unknown content formats', async () => {
+    assert.equal((await api('GET', `/collections/articles/items/${itemId}?contentFormat=rst`)).status, 400);
+  });
+});
+
+describe('journal', () => {
+  const GRACE = '6390c49774a71f0e3c1a0a02';
+  const grace = () => mock.state.items.get(AUTHORS).find(i => i.id === GRACE);
+
+  it('previews a revert on dry run and holds dry runs to the token scopes', async () => {
+    await api('PATCH', `/collections/authors/items/${GRACE}`, { body: { fieldData: { name: 'Grace B. Hopper' } } });
+    const entry = (await api('GET', `/journal?itemId=${GRACE}&kind=item.update`)).json.entries[0];
+    const reader = { 'x-api-token': TOKENS.reader.token };
+    assert.equal((await api('POST', `/journal/${entry.id}/revert`, { headers: reader })).status, 403);
+    assert.equal((await api('POST', `/journal/${entry.id}/revert?dryRun=true`, { headers: reader })).status, 403);
+
+    const preview = await api('POST', `/journal/${entry.id}/revert?dryRun=true`, { headers: { 'x-allow-destructive': 'false' } });
+    assert.equal(preview.status, 200);
+    assert.equal(preview.json.dryRun, true);
+    assert.deepEqual(preview.json.diff.fieldData.changed.name, { from: 'Grace B. Hopper', to: 'Grace Hopper' });
+    assert.equal(grace().fieldData.name, 'Grace B. Hopper');
+
+    assert.equal((await api('POST', `/journal/${entry.id}/revert`)).status, 200);
+    assert.equal(grace().fieldData.name, 'Grace Hopper');
+  });
+
+  it('reverts an entry once when two reverts race', async () => {
+    await api('PATCH', `/collections/authors/items/${GRACE}`, { body: { fieldData: { name: 'Grace M. Hopper' } } });
+    const entry = (await api('GET', `/journal?itemId=${GRACE}&kind=item.update`)).json.entries[0];
+    const statuses = (await Promise.all([1, 2].map(() => api('POST', `/journal/${entry.id}/revert`)))).map(r => r.status);
+    assert.deepEqual(statuses.sort(), [200, 409]);
+    const reverts = (await api('GET', `/journal?itemId=${GRACE}`)).json.entries.filter(e => e.revertOf === entry.id);
+    assert.equal(reverts.length, 1);
+    assert.equal(grace().fieldData.name, 'Grace Hopper');
+  });
+});
+
+describe('upstream faults', () => {
+  it('retries injected 429s and honours Retry-After', async () => {
+    mock.inject({ method: 'GET', path: `/collections/${AUTHORS}/items/`, status: 429, retryAfter: 0, times: 2 });
+    const { status, json } = await api('GET', '/collections/authors/items/6390c49774a71f0e3c1a0a02');
+    assert.equal(status, 200);
+    assert.equal(json.item.fieldData.name, 'Grace Hopper');
+    const health = await api('GET', '/health');
+    assert.ok(health.json.webflowLimiter.retries >= 2);
+  });
+
+  it('fails fast on a Retry-After longer than the retry cap without pausing other calls', async () => {
+    mock.inject({ method: 'GET', path: `/collections/${AUTHORS}/items/`, status: 429, retryAfter: 3600 });
+    const retries = (await api('GET', '/health')).json.webflowLimiter.retries;
+    const started = Date.now();
+    assert.equal((await api('GET', '/collections/authors/items/6390c49774a71f0e3c1a0a02')).status, 429);
+    assert.equal((await api('GET', '/collections/authors/items/6390c49774a71f0e3c1a0a02')).status, 200);
+    assert.ok(Date.now() - started < 2000);
+    assert.equal((await api('GET', '/health')).json.webflowLimiter.retries, retries);
+  });
+
+  it('surfaces upstream errors without retrying non-idempotent calls', async () => {
+    mock.inject({ method: 'POST', path: `/collections/${AUTHORS}/items`, status: 500 });
+    const posts = () => mock.requests.filter(r => r.method === 'POST' && r.path === `/collections/${AUTHORS}/items`).length;
+    const before = posts();
+    const { status, json } = await api('POST', '/collections/authors/items', {
+      body: { fieldData: { name: 'Flaky', slug: 'flaky' } }
+    });
+    assert.equal(status, 500);
+    assert.equal(json.status, 'error');
+    assert.equal(posts(), before + 1);
+  });
+});
+
+describe('observability', () => {
+  it('echoes x-request-id on responses and error JSON', async () => {
+    const ok = await api('GET', '/health', { headers: { 'x-request-id': 'trace-123' } });
+    assert.equal(ok.headers.get('x-request-id'), 'trace-123');
+    const missing = await api('GET', '/collections/authors/items/6390c49774a71f0e3c1a0fff');
+    assert.equal(missing.status, 404);
+    assert.ok(missing.json.requestId);
+    assert.equal(missing.json.requestId, missing.headers.get('x-request-id'));
+  });
+
+  it('exposes route, upstream and mutation metrics in Prometheus format', async () => {
+    await api('GET', `/sites/${SITE_ID}/made-up-${crypto.randomUUID().slice(0, 8)}/a/b/c/d`);
+    const { status, headers, text } = await api('GET', '/metrics', { raw: true });
+    assert.equal(status, 200);
+    assert.match(headers.get('content-type'), /^text\/plain/);
+    assert.match(text, /webflow_mcp_http_requests_total\{method="GET",route="\/collections\/:idOrAlias\/items\/:itemId",status="200"\} \d+/);
+    assert.match(text, /webflow_mcp_upstream_requests_total\{method="GET",path="\/collections\/:id\/items\/:id",status="429"\} [2-9]/);
+    assert.match(text, /webflow_mcp_upstream_rate_limited_total\{path="\/collections\/:id\/items\/:id"\} [2-9]/);
+    assert.match(text, /webflow_mcp_upstream_request_duration_seconds_bucket\{method="GET",path="\/sites\/:id\/collections",le="\+Inf"\} \d+/);
+    assert.match(text, /webflow_mcp_mutations_total\{token="admin",method="POST"\} \d+/);
+    assert.match(text, /webflow_mcp_upstream_requests_total\{method="GET",path="\/sites\/:id\/:segment\/:segment\/:segment\/\*",status="404"\} \d+/);
+    assert.doesNotMatch(text, /made-up/);
+  });
+});
+
+describe('publishing and jobs', () => {
+  it('publishes items immediately', async () => {
+    const { status, json } = await api('POST', '/collections/articles/items/publish', {
+      body: { itemIds: ['6390c49774a71f0e3c1a0902'] }
+    });
+    assert.equal(status, 200);
+    assert.deepEqual(json.published.publishedItemIds, ['6390c49774a71f0e3c1a0902']);
+  });
+
+  it('runs a full audit as an async job', async () => {
+    const started = await api('GET', `/audit?full=true&siteId=${SITE_ID}&doSmoke=false&async=true`);
+    assert.equal(started.status, 202);
+    let job;
+    for (let i = 0; i < 100; i++) {
+      job = (await api('GET', `/jobs/${started.json.jobId}`)).json.job;
+      if (job.status !== 'running') break;
+      await new Promise(r => setTimeout(r, 20));
+    }
+    assert.equal(job.status, 'succeeded');
+    assert.equal(job.progress.collectionsScanned, 2);
+    assert.equal(job.result.totals.collections, 2);
+  });
+
+  it('streams schedule events only to SSE sessions that may access the collection', async () => {
+    const admin = await openSse(TOKENS.admin.token);
+    const authors = await openSse(TOKENS.authors.token);
+    try {
+      const publishAt = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+      const queued = await api('POST', '/collections/articles/items/publish', {
+        body: { itemIds: ['6390c49774a71f0e3c1a0902'], publishAt }
+      });
+      assert.equal(queued.status, 202);
+      const [entry] = queued.json.scheduled;
+      assert.equal((await api('GET', `/schedules/${entry.id}`, { headers: { 'x-api-token': TOKENS.authors.token } })).status, 404);
+      assert.equal((await api('DELETE', `/schedules/${entry.id}`)).status, 200);
+      for (let i = 0; i < 50 && !admin.of('schedule').length; i++) await new Promise(r => setTimeout(r, 20));
+      assert.deepEqual(admin.of('schedule').map(e => [e.id, e.status]), [[entry.id, 'cancelled']]);
+      assert.deepEqual(authors.of('schedule'), []);
+    } finally {
+      await admin.close();
+      await authors.close();
+    }
+  });
+
+  it('streams job events only to SSE sessions of the token that started the job', async () => {
+    const admin = await openSse(TOKENS.admin.token);
+    const authors = await openSse(TOKENS.authors.token);
+    try {
+      const started = await api('GET', `/audit?full=true&siteId=${SITE_ID}&doSmoke=false&async=true`);
+      for (let i = 0; i < 100; i++) {
+        if (admin.of('job').some(j => j.id === started.json.jobId && j.status !== 'running')) break;
+        await new Promise(r => setTimeout(r, 20));
+      }
+      assert.ok(admin.of('job').some(j => j.id === started.json.jobId && j.status === 'succeeded'));
+      assert.deepEqual(authors.of('job'), []);
+    } finally {
+      await admin.close();
+      await authors.close();
+    }
+  });
+});
+
+describe('audit fixes', () => {
+  const SEO_TITLE = 'A very long search title that keeps going well past the limit search engines show in results pages';
+  const article = () => mock.state.items.get(ARTICLES).find(i => i.id === itemId);
+  let itemId;
+
+  before(async () => {
+    const created = await api('POST', '/collections/articles/items', {
+      body: { fieldData: { name: 'Fix me', slug: 'Fix_Me', 'seo-title': SEO_TITLE, hero: { url: 'https://cdn.example.com/hero.png' } } }
+    });
+    assert.equal(created.status, 201);
+    itemId = created.json.created.id;
+  });
+
+  after(async () => {
+    await api('DELETE', `/collections/articles/items/${itemId}`);
+  });
+
+  it('previews the selected fixes on dry run without writing', async () => {
+    const writes = mock.requests.filter(r => r.method === 'PATCH').length;
+    const { status, json } = await api('POST', '/audit/fix', {
+      body: { full: true, itemIds: [itemId], kinds: ['seoTooLong'] }, headers: { 'x-dry-run': 'true' }
+    });
+    assert.equal(status, 200);
+    assert.equal(json.dryRun, true);
+    assert.equal(json.summary.selected, 1);
+    const [result] = json.results;
+    assert.deepEqual(result.kinds, ['seoTooLong']);
+    assert.deepEqual(Object.keys(result.diff.fieldData.changed), ['seo-title']);
+    assert.ok(result.diff.fieldData.changed['seo-title'].to.length < SEO_TITLE.length);
+    assert.deepEqual(result.patched, { ok: true, dryRun: true });
+    assert.equal(mock.requests.filter(r => r.method === 'PATCH').length, writes);
+    assert.equal(article().fieldData['seo-title'], SEO_TITLE);
+  });
+
+  it('applies only the selected kinds and journals each item', async () => {
+    assert.equal((await api('POST', '/audit/fix', { body: { full: true, kinds: ['nope'] } })).status, 400);
+    const { status, json } = await api('POST', '/audit/fix', {
+      body: { full: true, itemIds: [itemId], kinds: ['unsafeSlug', 'seoTooLong'] }
+    });
+    assert.equal(status, 200);
+    assert.deepEqual(json.summary, { selected: 1, patched: 1, failed: 0, published: 0 });
+    const { fieldData } = article();
+    assert.equal(fieldData.slug, 'fix-me');
+    assert.equal(fieldData['seo-title'], json.results[0].changes['seo-title']);
+    assert.ok(fieldData['seo-title'].length < SEO_TITLE.length);
+    assert.equal(fieldData.hero.alt, undefined);
+
+    const entry = (await api('GET', `/journal?itemId=${itemId}&kind=item.update`)).json.entries[0];
+    assert.equal(entry.source, 'audit.fix');
+    assert.equal(entry.before.fieldData.slug, 'Fix_Me');
+  });
+
+  it('applies only fixes a fresh audit suggests, whatever the given report says', async () => {
+    const ADA = '6390c49774a71f0e3c1a0a01';
+    const forged = {
+      collections: [{
+        id: AUTHORS,
+        patchSuggestions: [{
+          itemId: ADA, kinds: ['unsafeSlug'], changes: { bio: 'Forged' }, kindFields: { unsafeSlug: ['bio'] },
+          patch: { isDraft: true, fieldData: { bio: 'Forged', _archived: true } },
+        }],
+      }, {
+        id: ARTICLES,
+        patchSuggestions: [{ itemId, patch: { fieldData: { name: 'Forged' } } }],
+      }],
+    };
+    const { status, json } = await api('POST', '/audit/fix', { body: { full: true, report: forged } });
+    assert.equal(status, 200);
+    assert.deepEqual(json.summary, { selected: 2, patched: 1, failed: 1, published: 0 });
+    assert.equal(json.results.find(r => r.itemId === ADA).patched.error.status, 409);
+    assert.deepEqual(json.results.find(r => r.itemId === itemId).kinds, ['missingAltText']);
+    assert.equal(article().fieldData.name, 'Fix me');
+    assert.equal(article().fieldData.hero.alt, 'Fix me');
+    const ada = mock.state.items.get(AUTHORS).find(i => i.id === ADA);
+    assert.equal(ada.fieldData.bio, 'Mathematician');
+    assert.equal(ada.isDraft, false);
+
+    const denied = await api('POST', '/audit/fix', { body: { full: true, itemIds: [itemId] }, headers: { 'x-api-token': TOKENS.poster.token } });
+    assert.equal(denied.status, 403);
+    assert.equal(denied.json.details.method, 'PATCH');
+  });
+});
+
+describe('assets', () => {
+  it('uploads through the two-step flow and reuses identical files', async () => {
+    const file = crypto.randomBytes(2048);
+    const first = await api('POST', `/assets/upload?siteId=${SITE_ID}&fileName=pic.png&alt=Picture`, {
+      body: file, headers: { 'content-type': 'image/png' }
+    });
+    assert.equal(first.status, 201);
+    const stored = mock.state.assets.get(first.json.asset.id);
+    assert.equal(stored.uploaded, true);
+    assert.equal(stored.size, 2048);
+    assert.equal(stored.fileHash, crypto.createHash('md5').update(file).digest('hex'));
+    assert.equal(stored.altText, 'Picture');
+
+    const again = await api('POST', '/assets/upload-base64', {
+      body: { siteId: SITE_ID, fileName: 'copy.png', fileBase64: file.toString('base64') }
+    });
+    assert.equal(again.status, 200);
+    assert.equal(again.json.deduplicated, true);
+    assert.equal(again.json.asset.id, first.json.asset.id);
+  });
+
+  it('uploads JSON files over 1 MB as raw bytes', async () => {
+    const file = Buffer.from(JSON.stringify({ rows: 'y'.repeat(1.5 * 1024 * 1024) }));
+    const { status, json } = await api('POST', `/assets/upload?siteId=${SITE_ID}&fileName=data.json`, {
+      body: file, headers: { 'content-type': 'application/json' }
+    });
+    assert.equal(status, 201);
+    const stored = mock.state.assets.get(json.asset.id);
+    assert.equal(stored.size, file.length);
+    assert.equal(stored.fileHash, crypto.createHash('md5').update(file).digest('hex'));
+  });
+
+  it('refuses to download from non-public addresses or for tokens without upload rights', async () => {
+    const port = new URL(mock.url).port;
+    for (const url of [`http://127.0.0.1:${port}/__mock/requests`, `http://localhost:${port}/__mock/requests`, `http://[::ffff:7f00:1]:${port}/`]) {
+      const { status, json } = await api('POST', '/assets/upload-from-url', { body: { siteId: SITE_ID, url } });
+      assert.equal(status, 400, url);
+      assert.match(json.message, /public/);
+    }
+    const { status } = await api('POST', '/assets/upload-from-url?dryRun=true', {
+      body: { siteId: SITE_ID, url: 'https://example.com/pic.png' }, headers: { 'x-api-token': TOKENS.reader.token }
+    });
+    assert.equal(status, 403);
+  });
+});
+
+describe('cross-site sync', () => {
+  it('plans on dry run, then creates items with remapped references', async () => {
+    const body = { sourceSiteId: SITE_ID, targetSiteId: PROD_SITE_ID, collections: ['articles'] };
+    const plan = await api('POST', '/sync', { body, headers: { 'x-dry-run': 'true' } });
+    assert.equal(plan.status, 200);
+    assert.equal(plan.json.totals.create, 2);
+    assert.equal(mock.state.items.get('7390c49774a71f0e3c1a08ee').length, 0);
+
+    const applied = await api('POST', '/sync', { body });
+    assert.equal(applied.status, 200);
+    const target = mock.state.items.get('7390c49774a71f0e3c1a08ee');
+    const welcome = target.find(i => i.fieldData.slug === 'welcome-to-the-mock');
+    assert.equal(welcome.fieldData.author, '7390c49774a71f0e3c1a0a01');
+    // Grace Hopper has no match on the target site, so the reference is dropped
+    assert.equal(target.find(i => i.fieldData.slug === 'draft-article').fieldData.author, null);
+
+    const journal = (await api('GET', '/journal?collectionId=7390c49774a71f0e3c1a08ee')).json.entries;
+    const created = journal.find(e => e.kind === 'items.create' && e.source === 'sync');
+    assert.equal(created.sourceSiteId, SITE_ID);
+    assert.equal(created.result.ok, true);
+    assert.deepEqual(created.result.after.items.map(i => i.fieldData.slug).sort(), ['draft-article', 'welcome-to-the-mock']);
+  });
+});
+
+describe('localization', () => {
+  const WELCOME = '6390c49774a71f0e3c1a0901';
+  const FR = '653ad57de882f528b32e810f';
+
+  it('reads and writes a secondary locale by tag', async () => {
+    const fr = await api('GET', `/collections/articles/items/${WELCOME}?locale=fr`);
+    assert.equal(fr.status, 200);
+    assert.equal(fr.json.item.fieldData.name, 'Bienvenue dans la maquette');
+    assert.equal(fr.json.locale.cmsLocaleId, FR);
+    assert.equal((await api('GET', `/collections/articles/items/${WELCOME}?locale=de`)).status, 400);
+
+    const list = await api('GET', '/collections/articles/items?locale=fr&q=bienvenue');
+    assert.deepEqual(list.json.items.map(i => i.id), [WELCOME]);
+
+    const patched = await api('PATCH', `/collections/articles/items/${WELCOME}?locale=fr`, {
+      body: { fieldData: { summary: 'Le tout premier article' } }
+    });
+    assert.equal(patched.status, 200);
+    assert.equal(mock.requests.at(-1).body.cmsLocaleId, FR);
+    const side = await api('GET', `/collections/articles/items/${WELCOME}/locales`);
+    assert.deepEqual(side.json.locales.map(l => l.tag), ['en', 'fr']);
+    assert.deepEqual(side.json.fieldData.summary, { en: 'First article in the mock site', fr: 'Le tout premier article' });
+  });
+
+  it('scope-checks the locale site and keeps cmsLocaleId out of dry-run diffs', async () => {
+    const prod = { 'x-api-token': TOKENS.prod.token };
+    // A collection of the token's own site, with the locale looked up on another site
+    const prodArticles = '/collections/7390c49774a71f0e3c1a08ee/items';
+    const denied = await api('GET', `${prodArticles}?locale=fr&siteId=${SITE_ID}`, { headers: prod });
+    assert.equal(denied.status, 403);
+    assert.equal(denied.json.details.siteId, SITE_ID);
+    assert.equal((await api('GET', `${prodArticles}/${WELCOME}/locales?siteId=${SITE_ID}`, { headers: prod })).status, 403);
+
+    const preview = await api('PATCH', `/collections/articles/items/${WELCOME}?locale=fr&dryRun=true`, {
+      body: { fieldData: { summary: 'Le premier article' } }
+    });
+    assert.equal(preview.status, 200);
+    assert.deepEqual(Object.keys(preview.json.diff.fieldData.changed), ['summary']);
+    assert.equal(preview.json.diff.hasChanges, true);
+  });
+
+  it('publishes a single locale', async () => {
+    const { status } = await api('POST', '/collections/articles/items/publish', { body: { itemIds: [WELCOME], locale: 'fr' } });
+    assert.equal(status, 200);
+    const sent = mock.requests.filter(r => r.path === `/collections/${ARTICLES}/items/publish`).at(-1).body;
+    assert.deepEqual(sent.items, [{ id: WELCOME, cmsLocaleIds: [FR] }]);
+  });
+
+  it('reports untranslated and drifted secondary locales in the audit', async () => {
+    const rules = (findings) => findings.filter(f => f.rule === 'translations');
+    let report = (await api('GET', `/audit?full=true&siteId=${SITE_ID}&doSmoke=false`)).json;
+    let findings = rules(report.collections.find(c => c.id === ARTICLES).findings);
+    assert.ok(findings.some(f => f.itemId === '6390c49774a71f0e3c1a0902' && f.field === 'body' && f.issue === 'untranslated'));
+    assert.ok(!findings.some(f => f.itemId === WELCOME));
+
+    await api('PATCH', `/collections/articles/items/${WELCOME}`, { body: { fieldData: { summary: 'First article, revised' } } });
+    report = (await api('GET', `/audit?full=true&siteId=${SITE_ID}&doSmoke=false`)).json;
+    findings = rules(report.collections.find(c => c.id === ARTICLES).findings);
+    assert.ok(findings.some(f => f.itemId === WELCOME && f.issue === 'drifted' && f.locale === 'fr'));
+  });
+
+  it('keeps the other audit findings when the site locales cannot be loaded', async () => {
+    mock.inject({ method: 'GET', path: new RegExp(`^/sites/${PROD_SITE_ID}$`), status: 404, times: 2 });
+    try {
+      const { status, json } = await api('GET', `/audit?full=true&siteId=${PROD_SITE_ID}&doSmoke=false`);
+      assert.equal(status, 200);
+      const findings = json.collections.flatMap(c => c.findings);
+      assert.equal(findings.filter(f => f.rule === 'translations' && /site locales/.test(f.message)).length, 1);
+      assert.deepEqual(json.collections.map(c => c.error), [null, null]);
+    } finally {
+      mock.injections.length = 0;
+    }
+  });
+});
+
+describe('webhooks', () => {
+  const deliver = (triggerType, payload, { timestamp = Date.now(), secret = WEBHOOK_SECRET, to = triggerType, body = JSON.stringify({ triggerType, payload }) } = {}) => {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}:${body}`).digest('hex');
+    return fetch(`${base}/webhooks/incoming/${to}`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', 'x-webflow-timestamp': String(timestamp), 'x-webflow-signature': signature },
+      body,
+    });
+  };
+
+  it('accepts signed deliveries once and rejects bad signatures, stale timestamps and replays', async () => {
+    const payload = { id: '6390c49774a71f0e3c1a0a01', siteId: SITE_ID, collectionId: AUTHORS, fieldData: { name: 'Ada' } };
+    const timestamp = Date.now();
+    const ok = await deliver('collection_item_changed', payload, { timestamp });
+    assert.equal(ok.status, 200);
+    assert.equal((await ok.json()).event.type, 'item.changed');
+    assert.equal((await deliver('collection_item_changed', payload, { timestamp })).status, 409);
+    assert.equal((await deliver('collection_item_changed', payload, { secret: 'wrong' })).status, 401);
+    assert.equal((await deliver('collection_item_changed', payload, { timestamp: Date.now() - 60 * 60 * 1000 })).status, 401);
+  });
+
+  it('only marks a delivery as seen once it is accepted', async () => {
+    const payload = { id: '6390c49774a71f0e3c1a0a02', siteId: SITE_ID, collectionId: AUTHORS };
+    const timestamp = Date.now();
+    const mismatched = await deliver('collection_item_created', payload, { timestamp, to: 'collection_item_deleted' });
+    assert.equal(mismatched.status, 400);
+    assert.equal((await deliver('collection_item_created', payload, { timestamp })).status, 200);
+  });
+
+  it('rejects signed bodies that are not objects and unknown trigger types', async () => {
+    for (const body of ['null', '[]', '7', '"text"']) {
+      const res = await deliver('collection_item_changed', null, { body });
+      assert.equal(res.status, 400, body);
+      assert.match((await res.json()).message, /must be a JSON object/);
+    }
+    const unknown = await deliver('collection_item_moved', { siteId: SITE_ID });
+    assert.equal(unknown.status, 400);
+    assert.match((await unknown.json()).message, /Unknown webhook triggerType/);
+  });
+
+  it('streams webhook events only to SSE sessions that may access the site and collection', async () => {
+    const admin = await openSse(TOKENS.admin.token);
+    const authors = await openSse(TOKENS.authors.token);
+    try {
+      await deliver('collection_item_changed', { id: '6390c49774a71f0e3c1a0901', siteId: SITE_ID, collectionId: ARTICLES });
+      await deliver('collection_item_changed', { id: '6390c49774a71f0e3c1a0a01', siteId: SITE_ID, collectionId: AUTHORS });
+      for (let i = 0; i < 50 && admin.of('webhook').length < 2; i++) await new Promise(r => setTimeout(r, 20));
+      assert.deepEqual(admin.of('webhook').map(e => e.collectionId), [ARTICLES, AUTHORS]);
+      assert.deepEqual(authors.of('webhook').map(e => e.collectionId), [AUTHORS]);
+    } finally {
+      await admin.close();
+      await authors.close();
+    }
+  });
+
+  it('registers the webhooks for the site once', async () => {
+    const first = await api('POST', '/webhooks/register', { body: {} });
+    assert.equal(first.status, 200);
+    assert.ok(first.json.results.every(r => r.action === 'created'));
+    const hooks = [...mock.state.webhooks.values()].filter(w => w.siteId === SITE_ID);
+    assert.ok(hooks.some(w => w.url === 'https://connector.example.com/webhooks/incoming/collection_item_created'));
+    const second = await api('POST', '/webhooks/register', { body: {} });
+    assert.ok(second.json.results.every(r => r.action === 'exists'));
+  });
+});
+
+describe('MCP', () => {
+  it('calls tools over Streamable HTTP', async () => {
+    const init = await api('POST', '/mcp', {
+      body: { jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-06-18', capabilities: {} } }
+    });
+    const sessionId = init.headers.get('mcp-session-id');
+    assert.ok(sessionId);
+    const call = await api('POST', '/mcp', {
+      headers: { 'mcp-session-id': sessionId },
+      body: { jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'get_item', arguments: { collection: 'authors', itemId: '6390c49774a71f0e3c1a0a01' } } }
+    });
+    assert.equal(call.json.result.isError, false);
+    assert.match(call.json.result.content[0].text, /Ada Lovelace/);
+  });
+
+  it('keeps an MCP session to the token that initialized it', async () => {
+    const init = await api('POST', '/mcp', {
+      body: { jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-06-18', capabilities: {} } }
+    });
+    const headers = { 'mcp-session-id': init.headers.get('mcp-session-id') };
+    const ping = { jsonrpc: '2.0', id: 2, method: 'ping' };
+    const other = { ...headers, 'x-api-token': TOKENS.authors.token };
+    assert.equal((await api('POST', '/mcp', { headers: other, body: ping })).status, 404);
+    assert.equal((await api('DELETE', '/mcp', { headers: other })).status, 404);
+    assert.equal((await api('POST', '/mcp', { headers, body: ping })).status, 200);
+    assert.equal((await api('DELETE', '/mcp', { headers })).status, 204);
+  });
+
+  it('accepts /messages only from the token that opened the /sse session', async () => {
+    const sse = await openSse(TOKENS.admin.token);
+    try {
+      const { sessionId } = sse.of('hello')[0];
+      const ping = (id, token) => api('POST', `/messages?sessionId=${sessionId}`, {
+        headers: { 'x-api-token': TOKENS[token].token }, body: { jsonrpc: '2.0', id, method: 'ping' },
+      });
+      assert.equal((await ping(1, 'authors')).status, 404);
+      assert.equal((await ping(2, 'admin')).status, 202);
+      for (let i = 0; i < 50 && !sse.of('message').length; i++) await new Promise(r => setTimeout(r, 20));
+      assert.deepEqual(sse.of('message').map(m => m.id), [2]);
+    } finally {
+      await sse.close();
+    }
+  });
+});
+
+describe('record and replay', () => {
+  it('captures upstream responses as fixtures and serves them back', async () => {
+    const dir = path.join(tmp, 'fixtures');
+    const recorder = await createMockWebflow({ recordDir: dir, recordTarget: mock.baseUrl }).listen();
+    const headers = { Authorization: `Bearer ${TOKEN}` };
+    const live = await (await fetch(`${recorder.baseUrl}/sites/${SITE_ID}/collections`, { headers })).json();
+    await recorder.close();
+    assert.equal(fs.readdirSync(dir).length, 1);
+
+    // An empty mock answers from the fixture alone
+    const replayer = await createMockWebflow({ seed: { sites: [] }, replayDir: dir }).listen();
+    const res = await fetch(`${replayer.baseUrl}/sites/${SITE_ID}/collections`, { headers });
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), live);
+    await replayer.close();
+  });
+});